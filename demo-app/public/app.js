@@ -0,0 +1,610 @@
+/**
+ * Local Demo Application - client
+ *
+ * Minimal single-page app mirroring the Netlify demo: a login form, a project
+ * sidebar and a kanban board per project. Routing uses the History API so
+ * every view has its own URL (/login, /projects/<slug>).
+ */
+
+const TOKEN_KEY = 'auth_token';
+const USER_KEY = 'auth_user';
+
+const TAG_STYLES = {
+    'feature': 'bg-blue-100 text-blue-800',
+    'bug': 'bg-red-100 text-red-800',
+    'design': 'bg-purple-100 text-purple-800',
+    'high priority': 'bg-orange-100 text-orange-800'
+};
+
+// What each role may do on a board; unknown roles get no write access
+const ROLE_PERMISSIONS = {
+    'admin': { create: true, edit: true, delete: true, move: true },
+    'member': { create: true, edit: true, delete: false, move: true },
+    'read-only': { create: false, edit: false, delete: false, move: false }
+};
+
+const root = document.getElementById('root');
+
+// Signed-in user ({ username, role }) as confirmed by /api/session
+let currentUser = null;
+
+function can(action) {
+    const permissions = ROLE_PERMISSIONS[currentUser && currentUser.role] || {};
+    return Boolean(permissions[action]);
+}
+
+/**
+ * Creates a DOM element. Text is always assigned through textContent so
+ * board and form data are never interpreted as HTML.
+ */
+function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs)) {
+        if (value === undefined || value === null || value === false) continue;
+        if (key === 'className') node.className = value;
+        else if (key === 'text') node.textContent = value;
+        else if (key.startsWith('on')) node.addEventListener(key.slice(2).toLowerCase(), value);
+        else node.setAttribute(key, value === true ? '' : value);
+    }
+    for (const child of [].concat(children)) {
+        if (child) node.append(child);
+    }
+    return node;
+}
+
+function getToken() {
+    return localStorage.getItem(TOKEN_KEY);
+}
+
+function clearSession() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+}
+
+async function api(pathname, options = {}) {
+    const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+    const token = getToken();
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(pathname, { ...options, headers });
+    const body = await response.json().catch(() => ({}));
+    return { status: response.status, ok: response.ok, body };
+}
+
+function navigate(pathname, { replace = false } = {}) {
+    if (replace) history.replaceState(null, '', pathname);
+    else history.pushState(null, '', pathname);
+    render();
+}
+
+// ========================================
+// LOGIN VIEW
+// ========================================
+
+function renderLogin() {
+    document.title = 'Sign in - Demo App';
+
+    const error = el('div', { className: 'text-red-500 text-sm', role: 'status' });
+    error.hidden = true;
+
+    const username = el('input', { id: 'username', name: 'username', type: 'text', autocomplete: 'username' });
+    const password = el('input', { id: 'password', name: 'password', type: 'password', autocomplete: 'current-password' });
+
+    const form = el('form', { className: 'login-form', novalidate: true }, [
+        el('h1', { className: 'login-title', text: 'Sign in' }),
+        el('div', { className: 'field' }, [el('label', { for: 'username', text: 'Username' }), username]),
+        el('div', { className: 'field' }, [el('label', { for: 'password', text: 'Password' }), password]),
+        error,
+        el('button', { type: 'submit', className: 'btn btn-primary', text: 'Sign in' })
+    ]);
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        error.hidden = true;
+
+        const result = await api('/api/login', {
+            method: 'POST',
+            body: JSON.stringify({ username: username.value, password: password.value })
+        });
+
+        if (!result.ok) {
+            error.textContent = result.body.error || 'Invalid username or password';
+            error.hidden = false;
+            return;
+        }
+
+        localStorage.setItem(TOKEN_KEY, result.body.token);
+        localStorage.setItem(USER_KEY, JSON.stringify(result.body.user));
+        navigate('/', { replace: true });
+    });
+
+    root.replaceChildren(el('div', { className: 'login-page' }, [form]));
+}
+
+// ========================================
+// BOARD STATE
+// ========================================
+
+// Board edits live in sessionStorage so they survive re-renders and reloads
+// within a tab, while every new browser context starts from the seeded data.
+const BOARD_STATE_PREFIX = 'board_state:';
+
+let currentBoard = null;
+let keyboardDrag = null;
+
+async function loadBoard(slug) {
+    const cached = sessionStorage.getItem(BOARD_STATE_PREFIX + slug);
+    if (cached) return { ok: true, board: JSON.parse(cached) };
+
+    const result = await api(`/api/projects/${slug}/board`);
+    if (!result.ok) return { ok: false, status: result.status };
+
+    const board = result.body;
+    board.columns.forEach((column, columnIndex) => {
+        column.cards.forEach((card, cardIndex) => {
+            card.id = card.id || `${slug}-${columnIndex}-${cardIndex}`;
+        });
+    });
+    saveBoard(board);
+    return { ok: true, board };
+}
+
+function saveBoard(board) {
+    sessionStorage.setItem(BOARD_STATE_PREFIX + board.slug, JSON.stringify(board));
+}
+
+function locateCard(board, cardId) {
+    for (const [columnIndex, column] of board.columns.entries()) {
+        const cardIndex = column.cards.findIndex(card => card.id === cardId);
+        if (cardIndex !== -1) return { columnIndex, cardIndex, card: column.cards[cardIndex] };
+    }
+    return null;
+}
+
+function moveCard(board, cardId, targetColumnIndex, targetIndex) {
+    const source = locateCard(board, cardId);
+    if (!source) return;
+
+    const [card] = board.columns[source.columnIndex].cards.splice(source.cardIndex, 1);
+    const targetCards = board.columns[targetColumnIndex].cards;
+    targetCards.splice(Math.max(0, Math.min(targetIndex, targetCards.length)), 0, card);
+    saveBoard(board);
+}
+
+function announce(message) {
+    const region = root.querySelector('.live-region');
+    if (region) region.textContent = message;
+}
+
+// ========================================
+// DRAG AND DROP
+// ========================================
+
+// Number of cards (other than the dragged one) whose midpoint is above the pointer
+function getDropIndex(columnElement, clientY, draggedId) {
+    return Array.from(columnElement.querySelectorAll('.card'))
+        .filter(card => card.dataset.cardId !== draggedId)
+        .filter(card => {
+            const rect = card.getBoundingClientRect();
+            return rect.top + rect.height / 2 < clientY;
+        }).length;
+}
+
+// Keyboard moves: Space lifts/drops, arrows move between columns and positions, Escape cancels.
+// Enter opens the card's details.
+function handleCardKeydown(event, cardId) {
+    // Keys pressed on the card's own buttons are not move commands
+    if (event.target !== event.currentTarget) return;
+
+    const current = locateCard(currentBoard, cardId);
+    if (!current) return;
+
+    if (event.key === 'Enter' && !keyboardDrag) {
+        event.preventDefault();
+        openTaskDetails(cardId);
+        return;
+    }
+
+    if (!can('move')) return;
+
+    if (event.key === ' ') {
+        event.preventDefault();
+        if (keyboardDrag && keyboardDrag.cardId === cardId) {
+            keyboardDrag = null;
+            announce(`Dropped ${current.card.title} in ${currentBoard.columns[current.columnIndex].name} at position ${current.cardIndex + 1}`);
+        } else {
+            keyboardDrag = { cardId, snapshot: JSON.stringify(currentBoard) };
+            announce(`Picked up ${current.card.title}`);
+        }
+        renderBoard(cardId);
+        return;
+    }
+
+    if (!keyboardDrag || keyboardDrag.cardId !== cardId) return;
+
+    let { columnIndex, cardIndex } = current;
+    switch (event.key) {
+        case 'ArrowLeft': columnIndex--; break;
+        case 'ArrowRight': columnIndex++; break;
+        case 'ArrowUp': cardIndex--; break;
+        case 'ArrowDown': cardIndex++; break;
+        case 'Escape':
+            event.preventDefault();
+            currentBoard = JSON.parse(keyboardDrag.snapshot);
+            saveBoard(currentBoard);
+            keyboardDrag = null;
+            announce(`Move cancelled for ${current.card.title}`);
+            renderBoard(cardId);
+            return;
+        default:
+            return;
+    }
+
+    event.preventDefault();
+    if (columnIndex < 0 || columnIndex >= currentBoard.columns.length || cardIndex < 0) return;
+
+    moveCard(currentBoard, cardId, columnIndex, cardIndex);
+    renderBoard(cardId);
+}
+
+// ========================================
+// DIALOGS
+// ========================================
+
+function closeDialog() {
+    root.querySelectorAll('.dialog-backdrop').forEach(node => node.remove());
+}
+
+function openDialog(label, content) {
+    closeDialog();
+
+    const dialog = el('div', {
+        className: 'dialog bg-white rounded-lg p-6',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-label': label,
+        onKeydown: (event) => {
+            if (event.key === 'Escape') closeDialog();
+        }
+    }, content);
+
+    root.append(el('div', {
+        className: 'dialog-backdrop',
+        onClick: (event) => {
+            if (event.target === event.currentTarget) closeDialog();
+        }
+    }, [dialog]));
+
+    const firstField = dialog.querySelector('input, textarea, button');
+    if (firstField) firstField.focus();
+    return dialog;
+}
+
+function parseTags(value) {
+    return value.split(',')
+        .map(tag => tag.trim())
+        .filter((tag, index, all) => tag && all.indexOf(tag) === index);
+}
+
+// onDone runs after Save or Cancel instead of just closing (used to return to the details view)
+function openTaskForm({ columnIndex, cardId = null, onDone = closeDialog }) {
+    const existing = cardId ? locateCard(currentBoard, cardId) : null;
+    const card = existing ? existing.card : {};
+    const label = existing ? 'Edit task' : 'New task';
+
+    const field = (id, text, input) => el('div', { className: 'field' }, [el('label', { for: id, text }), input]);
+    const inputs = {
+        title: el('input', { id: 'task-title', type: 'text', value: card.title }),
+        description: el('textarea', { id: 'task-description', rows: '3', text: card.description }),
+        tags: el('input', { id: 'task-tags', type: 'text', placeholder: 'Feature, Bug', value: (card.tags || []).join(', ') }),
+        assignee: el('input', { id: 'task-assignee', type: 'text', value: card.assignee }),
+        dueDate: el('input', { id: 'task-due-date', type: 'date', value: card.dueDate })
+    };
+
+    const error = el('div', { className: 'text-red-500 text-sm', role: 'status' });
+    error.hidden = true;
+
+    const form = el('form', { className: 'task-form flex flex-col gap-3', novalidate: true }, [
+        el('h2', { className: 'text-lg font-semibold', text: label }),
+        field('task-title', 'Title', inputs.title),
+        field('task-description', 'Description', inputs.description),
+        field('task-tags', 'Tags', inputs.tags),
+        field('task-assignee', 'Assignee', inputs.assignee),
+        field('task-due-date', 'Due date', inputs.dueDate),
+        error,
+        el('div', { className: 'flex gap-2' }, [
+            el('button', { type: 'submit', className: 'btn btn-primary', text: 'Save' }),
+            el('button', { type: 'button', className: 'btn', text: 'Cancel', onClick: () => onDone() })
+        ])
+    ]);
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        const values = {
+            title: inputs.title.value.trim(),
+            description: inputs.description.value.trim(),
+            tags: parseTags(inputs.tags.value),
+            assignee: inputs.assignee.value.trim(),
+            dueDate: inputs.dueDate.value
+        };
+
+        if (!values.title) {
+            error.textContent = 'Title is required';
+            error.hidden = false;
+            return;
+        }
+
+        if (existing) {
+            Object.assign(existing.card, values);
+            announce(`Updated ${values.title}`);
+        } else {
+            const id = `task-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            currentBoard.columns[columnIndex].cards.push({ id, ...values });
+            announce(`Created ${values.title}`);
+        }
+
+        saveBoard(currentBoard);
+        closeDialog();
+        renderBoard();
+        onDone();
+    });
+
+    openDialog(label, [form]);
+}
+
+function openTaskDetails(cardId) {
+    const existing = locateCard(currentBoard, cardId);
+    if (!existing) return;
+
+    const { card } = existing;
+    const detail = (name, value) => [
+        el('dt', { className: 'text-sm font-medium text-gray-500', text: name }),
+        el('dd', { className: 'mb-3', 'data-field': name.toLowerCase().replace(/\s+/g, '-') }, value)
+    ];
+    const tags = (card.tags || []).map(tag =>
+        el('span', { className: `tag px-2 py-1 rounded-full text-xs font-medium ${TAG_STYLES[tag.toLowerCase()] || 'bg-gray-100 text-gray-800'}`, text: tag })
+    );
+
+    openDialog('Task details', [
+        el('h2', { className: 'text-lg font-semibold mb-4', text: card.title }),
+        el('dl', { className: 'task-details' }, [
+            ...detail('Description', [card.description || '']),
+            ...detail('Assignee', [card.assignee || '']),
+            ...detail('Tags', [el('div', { className: 'flex flex-wrap gap-2' }, tags)]),
+            ...detail('Due date', [card.dueDate || ''])
+        ]),
+        el('div', { className: 'flex gap-2' }, [
+            can('edit') ? el('button', {
+                type: 'button',
+                className: 'btn btn-primary',
+                text: 'Edit',
+                onClick: () => openTaskForm({ cardId, onDone: () => openTaskDetails(cardId) })
+            }) : null,
+            el('button', { type: 'button', className: 'btn', text: 'Close', onClick: closeDialog })
+        ])
+    ]);
+}
+
+function openDeleteConfirmation(cardId) {
+    const existing = locateCard(currentBoard, cardId);
+    if (!existing) return;
+
+    openDialog('Delete task', [
+        el('h2', { className: 'text-lg font-semibold mb-4', text: 'Delete task' }),
+        el('p', { className: 'mb-4', text: `Delete "${existing.card.title}"? This cannot be undone.` }),
+        el('div', { className: 'flex gap-2' }, [
+            el('button', {
+                type: 'button',
+                className: 'btn btn-danger',
+                text: 'Delete',
+                onClick: () => {
+                    currentBoard.columns[existing.columnIndex].cards.splice(existing.cardIndex, 1);
+                    saveBoard(currentBoard);
+                    closeDialog();
+                    announce(`Deleted ${existing.card.title}`);
+                    renderBoard();
+                }
+            }),
+            el('button', { type: 'button', className: 'btn', text: 'Cancel', onClick: closeDialog })
+        ])
+    ]);
+}
+
+// ========================================
+// BOARD VIEW
+// ========================================
+
+function renderCard(card) {
+    const tags = (card.tags || []).map(tag =>
+        el('span', {
+            className: `tag px-2 py-1 rounded-full text-xs font-medium ${TAG_STYLES[tag.toLowerCase()] || 'bg-gray-100 text-gray-800'}`,
+            text: tag
+        })
+    );
+
+    const isLifted = keyboardDrag && keyboardDrag.cardId === card.id;
+
+    return el('div', {
+        className: `card bg-white p-4 rounded-lg shadow-sm border${isLifted ? ' lifted' : ''}`,
+        draggable: can('move') ? 'true' : 'false',
+        tabindex: '0',
+        'data-card-id': card.id,
+        'aria-roledescription': 'Draggable task',
+        onDragstart: (event) => {
+            if (!can('move')) return event.preventDefault();
+            event.dataTransfer.setData('text/plain', card.id);
+            event.dataTransfer.effectAllowed = 'move';
+            event.currentTarget.classList.add('dragging');
+        },
+        onDragend: (event) => event.currentTarget.classList.remove('dragging'),
+        onKeydown: (event) => handleCardKeydown(event, card.id),
+        onClick: (event) => {
+            // The card's own Edit/Delete buttons open their own dialogs
+            if (event.target.closest('button')) return;
+            openTaskDetails(card.id);
+        }
+    }, [
+        el('h3', { className: 'font-medium text-gray-900 mb-2', text: card.title }),
+        card.description ? el('p', { className: 'text-sm text-gray-600 mb-3', text: card.description }) : null,
+        el('div', { className: 'flex flex-wrap gap-2 mb-3' }, tags),
+        el('div', { className: 'card-meta flex items-center justify-between text-sm text-gray-500' }, [
+            el('span', { className: 'assignee', text: card.assignee || 'Unassigned' }),
+            el('span', { className: 'due-date', text: card.dueDate || '' })
+        ]),
+        el('div', { className: 'card-actions flex gap-2' }, [
+            can('edit') ? el('button', {
+                type: 'button',
+                className: 'btn-link text-sm',
+                'aria-label': 'Edit task',
+                text: 'Edit',
+                onClick: () => openTaskForm({ cardId: card.id })
+            }) : null,
+            can('delete') ? el('button', {
+                type: 'button',
+                className: 'btn-link text-sm',
+                'aria-label': 'Delete task',
+                text: 'Delete',
+                onClick: () => openDeleteConfirmation(card.id)
+            }) : null
+        ])
+    ]);
+}
+
+function renderColumn(column, columnIndex) {
+    return el('section', {
+        className: 'column flex flex-col w-80 bg-gray-50 rounded-lg p-4',
+        onDragover: (event) => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+        },
+        onDrop: (event) => {
+            event.preventDefault();
+            if (!can('move')) return;
+            const cardId = event.dataTransfer.getData('text/plain');
+            if (!cardId) return;
+            moveCard(currentBoard, cardId, columnIndex, getDropIndex(event.currentTarget, event.clientY, cardId));
+            renderBoard();
+        }
+    }, [
+        el('h2', { className: 'font-semibold text-gray-700 mb-4', text: `${column.name} (${column.cards.length})` }),
+        el('div', { className: 'column-cards flex flex-col gap-3' }, column.cards.map(renderCard)),
+        can('create') ? el('button', {
+            type: 'button',
+            className: 'btn add-task text-sm',
+            'aria-label': `Add task to ${column.name}`,
+            text: '+ Add task',
+            onClick: () => openTaskForm({ columnIndex })
+        }) : null
+    ]);
+}
+
+function renderBoard(focusCardId = null) {
+    const boardElement = root.querySelector('.board');
+    if (!boardElement || !currentBoard) return;
+
+    boardElement.replaceChildren(...currentBoard.columns.map(renderColumn));
+
+    if (focusCardId) {
+        const card = boardElement.querySelector(`[data-card-id="${CSS.escape(focusCardId)}"]`);
+        if (card) card.focus();
+    }
+}
+
+function renderSidebar(projects, activeSlug) {
+    const buttons = projects.map(project => {
+        const isActive = project.slug === activeSlug;
+        return el('button', {
+            type: 'button',
+            className: `project-link w-full text-left p-3 rounded-lg ${isActive ? 'active bg-blue-600 text-white' : 'text-gray-300'}`,
+            'aria-current': isActive ? 'page' : null,
+            onClick: () => navigate(`/projects/${project.slug}`)
+        }, [
+            el('h2', { className: 'font-medium', text: project.name }),
+            el('p', { className: 'text-sm opacity-75', text: project.description })
+        ]);
+    });
+
+    return el('aside', { className: 'sidebar w-64 bg-gray-900 p-4' }, [
+        el('div', { className: 'sidebar-title text-white text-lg font-bold mb-6', text: 'Projects' }),
+        el('nav', { className: 'flex flex-col gap-2', 'aria-label': 'Projects' }, buttons),
+        el('div', { className: 'user-info text-sm text-gray-300 mt-6', 'data-role': currentUser.role }, [
+            el('p', { text: `Signed in as ${currentUser.username} (${currentUser.role})` }),
+            el('button', { type: 'button', className: 'btn btn-link sign-out', text: 'Sign out', onClick: signOut })
+        ])
+    ]);
+}
+
+async function renderDashboard(slug) {
+    const projectsResult = await api('/api/projects');
+    if (projectsResult.status === 401) return handleUnauthorized();
+
+    const { projects } = projectsResult.body;
+    const activeProject = projects.find(project => project.slug === slug);
+    if (!activeProject) {
+        return navigate(`/projects/${projects[0].slug}`, { replace: true });
+    }
+
+    const boardResult = await loadBoard(activeProject.slug);
+    if (boardResult.status === 401) return handleUnauthorized();
+
+    currentBoard = boardResult.board;
+    keyboardDrag = null;
+    document.title = `${currentBoard.project} - Demo App`;
+
+    root.replaceChildren(el('div', { className: 'app-shell flex h-screen' }, [
+        renderSidebar(projects, activeProject.slug),
+        el('main', { className: 'main flex-1' }, [
+            el('header', { className: 'board-header p-6 border-b' }, [
+                el('h1', { className: 'text-xl font-semibold', text: currentBoard.project }),
+                el('p', { className: 'text-sm text-gray-500', text: currentBoard.description })
+            ]),
+            el('div', { className: 'board kanban flex gap-6 p-6' })
+        ]),
+        el('div', { className: 'live-region sr-only', 'aria-live': 'assertive' })
+    ]));
+
+    renderBoard();
+}
+
+// ========================================
+// ROUTING
+// ========================================
+
+function handleUnauthorized() {
+    clearSession();
+    navigate('/login', { replace: true });
+}
+
+// Ends the session on the server, then drops the token, the user and any board edits.
+// The login view replaces the current history entry so Back does not return to the board.
+async function signOut() {
+    await api('/api/logout', { method: 'POST' }).catch(() => null);
+    clearSession();
+    sessionStorage.clear();
+    currentUser = null;
+    currentBoard = null;
+    navigate('/login', { replace: true });
+}
+
+async function render() {
+    const { pathname } = location;
+
+    if (!getToken()) {
+        if (pathname !== '/login') history.replaceState(null, '', '/login');
+        return renderLogin();
+    }
+
+    const session = await api('/api/session');
+    if (!session.ok) return handleUnauthorized();
+    currentUser = session.body.user;
+
+    const projectMatch = pathname.match(/^\/projects\/([^/]+)\/?$/);
+    if (!projectMatch) {
+        return renderDashboard(null);
+    }
+    return renderDashboard(decodeURIComponent(projectMatch[1]));
+}
+
+window.addEventListener('popstate', render);
+render();
@@ -0,0 +1,356 @@
+/**
+ * Local Demo Application Server
+ *
+ * Offline stand-in for the Netlify demo app used by the LOCAL environment.
+ * It serves a small single-page app that reproduces the login form, the
+ * project dashboard and the seeded kanban boards from test-data.json, so the
+ * whole suite can run on machines without internet access.
+ *
+ * Key Features:
+ * - Zero dependencies (Node http module only)
+ * - Users and roles taken from ENVIRONMENT_CONFIG.LOCAL in shared/env.js
+ * - Signed bearer tokens so storage state behaves like a real session
+ * - Lockout/throttling after repeated failed logins (SECURITY.LOGIN_PROTECTION)
+ * - Security headers (CSP, X-Frame-Options, nosniff, Referrer-Policy, Permissions-Policy)
+ * - Board data seeded from the "boards" section of test-data.json
+ *
+ * Usage:
+ *   node demo-app/server.js            # listens on LOCAL_APP_PORT (default 3000)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ENVIRONMENT_CONFIG } from '../shared/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const TEST_DATA_PATH = path.resolve(__dirname, '../test-data.json');
+
+const LOCAL_ENV = ENVIRONMENT_CONFIG.LOCAL;
+const PORT = LOCAL_ENV.WEB_SERVER.PORT;
+const HOST = process.env.LOCAL_APP_HOST || '127.0.0.1';
+
+// Secret used to sign session tokens. A fixed default keeps auth-<role>.json valid across restarts.
+const TOKEN_SECRET = process.env.LOCAL_APP_SECRET || 'local-demo-app-secret';
+const TOKEN_TTL_MS = 8 * 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Sent with every response; SECURITY.HEADERS in shared/env.js describes what the audit expects
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': "default-src 'self'; object-src 'none'; base-uri 'self'; form-action 'self'; frame-ancestors 'none'",
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+};
+
+/**
+ * Loads the seeded boards from test-data.json
+ *
+ * Read on every request so edits to the seed data are picked up without a restart.
+ *
+ * @returns {Array<Object>} - Board definitions ({ project, slug, description, columns })
+ */
+function loadBoards() {
+    const testData = JSON.parse(fs.readFileSync(TEST_DATA_PATH, 'utf-8'));
+    return testData.boards || [];
+}
+
+const LOGIN_PROTECTION = LOCAL_ENV.SECURITY.LOGIN_PROTECTION;
+
+// Users from ENVIRONMENT_CONFIG.LOCAL.CREDENTIALS.USERS, tagged with their role,
+// plus the account the brute-force specs lock out
+function getUsers() {
+    const users = Object.entries(LOCAL_ENV.CREDENTIALS.USERS)
+        .map(([role, user]) => ({ ...user, ROLE: role }));
+    if (LOGIN_PROTECTION && LOGIN_PROTECTION.ACCOUNT) {
+        users.push({ ...LOGIN_PROTECTION.ACCOUNT, ROLE: 'member' });
+    }
+    return users;
+}
+
+function findUser(username) {
+    return getUsers().find(user => user.USERNAME === username) || null;
+}
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+function createToken(username) {
+    const now = Date.now();
+    const payload = base64url(JSON.stringify({ sub: username, iat: now, exp: now + TOKEN_TTL_MS }));
+    return `${payload}.${sign(payload)}`;
+}
+
+// Tokens ended through /api/logout; kept in memory until the server restarts
+const revokedTokens = new Set();
+
+/**
+ * Verifies a bearer token and returns its claims
+ *
+ * @param {string} token - Token issued by createToken
+ * @returns {Object|null} - Decoded claims, or null when the token is malformed, tampered, expired or signed out
+ */
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    if (revokedTokens.has(token)) return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = sign(payload);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        if (!claims.exp || claims.exp < Date.now()) return null;
+        if (!findUser(claims.sub)) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+function getSession(req) {
+    return verifyToken(getBearerToken(req));
+}
+
+// Failed logins per username: { count, lastFailureAt, lockedUntil }.
+// Failures older than LOCKOUT_MS are forgotten, so the occasional bad password in other specs never adds up to a lockout.
+const loginFailures = new Map();
+
+/**
+ * Rejection for a username that is locked out or throttled
+ *
+ * @returns {{status: number, error: string}|null} - null when the username may try to log in
+ */
+function getLoginBlock(username) {
+    const failures = loginFailures.get(username);
+    if (!LOGIN_PROTECTION || !failures || !failures.lockedUntil || failures.lockedUntil <= Date.now()) {
+        return null;
+    }
+
+    const seconds = Math.ceil((failures.lockedUntil - Date.now()) / 1000);
+    const status = LOGIN_PROTECTION.MODE === 'throttle' ? 429 : 423;
+    return { status, error: `${LOGIN_PROTECTION.MESSAGE}. Try again in ${seconds} seconds.` };
+}
+
+function recordLoginFailure(username) {
+    if (!LOGIN_PROTECTION) return;
+
+    const now = Date.now();
+    const failures = loginFailures.get(username) || { count: 0, lastFailureAt: now, lockedUntil: null };
+    if (now - failures.lastFailureAt > LOGIN_PROTECTION.LOCKOUT_MS) {
+        failures.count = 0;
+    }
+    failures.count += 1;
+    failures.lastFailureAt = now;
+    if (failures.count >= LOGIN_PROTECTION.MAX_ATTEMPTS) {
+        failures.count = 0;
+        failures.lockedUntil = now + LOGIN_PROTECTION.LOCKOUT_MS;
+    }
+    loginFailures.set(username, failures);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': CONTENT_TYPES['.json'],
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function sendBadRequest(res) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+            // Guard against oversized payloads
+            if (raw.length > 1e6) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    const { pathname } = url;
+
+    if (pathname === '/api/login' && req.method === 'POST') {
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (error) {
+            return sendJson(res, 400, { error: 'Invalid request body' });
+        }
+
+        // JSON bodies such as null, "x" or 5 parse fine but carry no credentials
+        const isCredentialsObject = body !== null && typeof body === 'object' && !Array.isArray(body);
+        if (!isCredentialsObject || typeof body.username !== 'string' || typeof body.password !== 'string' ||
+            !body.username || !body.password) {
+            return sendJson(res, 400, { error: 'Username and password are required' });
+        }
+
+        const block = getLoginBlock(body.username);
+        if (block) {
+            return sendJson(res, block.status, { error: block.error });
+        }
+
+        const user = getUsers().find(candidate =>
+            candidate.USERNAME === body.username && candidate.PASSWORD === body.password
+        );
+        if (!user) {
+            recordLoginFailure(body.username);
+            return sendJson(res, 401, { error: 'Invalid username or password' });
+        }
+        loginFailures.delete(body.username);
+
+        return sendJson(res, 200, {
+            token: createToken(user.USERNAME),
+            user: { username: user.USERNAME, role: user.ROLE }
+        });
+    }
+
+    // Everything below requires a valid session
+    const session = getSession(req);
+    if (!session) {
+        return sendJson(res, 401, { error: 'Authentication required' });
+    }
+
+    if (pathname === '/api/session' && req.method === 'GET') {
+        const user = findUser(session.sub);
+        return sendJson(res, 200, { user: { username: user.USERNAME, role: user.ROLE }, expiresAt: session.exp });
+    }
+
+    if (pathname === '/api/logout' && req.method === 'POST') {
+        revokedTokens.add(getBearerToken(req));
+        return sendJson(res, 200, { success: true });
+    }
+
+    if (pathname === '/api/projects' && req.method === 'GET') {
+        const projects = loadBoards().map(({ project, slug, description }) => ({ name: project, slug, description }));
+        return sendJson(res, 200, { projects });
+    }
+
+    const boardMatch = pathname.match(/^\/api\/projects\/([a-z0-9-]+)\/board$/);
+    if (boardMatch && req.method === 'GET') {
+        const board = loadBoards().find(candidate => candidate.slug === boardMatch[1]);
+        if (!board) {
+            return sendJson(res, 404, { error: 'Project not found' });
+        }
+        return sendJson(res, 200, board);
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+function serveStatic(res, pathname) {
+    // A malformed escape (e.g. /%E0) is a bad request, not a server fault
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(pathname);
+    } catch (error) {
+        return sendBadRequest(res);
+    }
+
+    // Resolve inside PUBLIC_DIR only; anything without a known file falls back to the SPA shell
+    const requested = path.normalize(path.join(PUBLIC_DIR, decodedPath));
+    const isInsidePublic = requested.startsWith(PUBLIC_DIR + path.sep);
+    const extension = path.extname(requested);
+
+    let filePath = path.join(PUBLIC_DIR, 'index.html');
+    if (isInsidePublic && extension && fs.existsSync(requested) && fs.statSync(requested).isFile()) {
+        filePath = requested;
+    } else if (extension) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+    for (const [name, value] of Object.entries(SECURITY_HEADERS)) {
+        res.setHeader(name, value);
+    }
+
+    // The Host header is client-supplied; one that does not parse (e.g. "a b") is a bad request
+    let url;
+    try {
+        url = new URL(req.url, `http://${req.headers.host || `${HOST}:${PORT}`}`);
+    } catch (error) {
+        return sendBadRequest(res);
+    }
+
+    try {
+        if (url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(res, url.pathname);
+        } else {
+            res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Method not allowed');
+        }
+    } catch (error) {
+        console.error(`❌ ${req.method} ${url.pathname} failed: ${error.message}`);
+        if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`🚀 Local demo app listening on http://${HOST}:${PORT}/`);
+});
+
+// Allow Playwright's webServer teardown to stop the process cleanly
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => server.close(() => process.exit(0)));
+}
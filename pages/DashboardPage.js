@@ -1,21 +1,57 @@
 import { debugLog } from '../shared/debug.js';
+import { CURRENT_ENV } from '../shared/env.js';
 import { PlaywrightHandler } from '../shared/PlaywrightHandler.js';
 
+// Classes that mark the selected project link (in addition to aria-current / aria-selected)
+const ACTIVE_PROJECT_CLASS = /\b(active|selected|bg-blue-\d{3})\b/;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeProjectName(name) {
+    return (name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// "Web Application" -> "web-application"
+function toProjectSlug(name) {
+    return normalizeProjectName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Cookie and web storage names that hold authentication data
+export const AUTH_STORAGE_KEY = /auth|token|session|jwt|credential|user/i;
+
 export class DashboardPage {
-    constructor(page) {
+    /**
+     * @param {Page} page - Playwright page instance
+     * @param {Object} options
+     * @param {string|null} options.projectRoute - Route of a project board with a {slug} placeholder
+     *                                             (defaults to the environment's ROUTES.PROJECT; null skips the URL check)
+     */
+    constructor(page, { projectRoute = (CURRENT_ENV.ROUTES && CURRENT_ENV.ROUTES.PROJECT) || null } = {}) {
         this.page = page;
         this.handler = new PlaywrightHandler(page);
-        this.webApplicationLink = page.locator('button:has(h2:text("Web Application"))');
-        this.mobileApplicationLink = page.locator('button:has(h2:text("Mobile Application"))');
+        this.projectRoute = projectRoute;
+        // Every project in the sidebar is a button holding the project name (h2) and description (p)
+        this.projectLinks = page.locator('button:has(h2)');
+        this.webApplicationLink = this.getProjectLink('Web Application');
+        this.mobileApplicationLink = this.getProjectLink('Mobile Application');
+        this.logoutButton = page.getByRole('button', { name: /^(sign out|log ?out)$/i });
+    }
+
+    /**
+     * Sidebar button for a project, matched by exact name (case-insensitive)
+     */
+    getProjectLink(projectName) {
+        return this.projectLinks.filter({
+            has: this.page.locator('h2', { hasText: new RegExp(`^\\s*${escapeRegExp(projectName.trim())}\\s*$`, 'i') })
+        }).first();
     }
-    
+
     async verifyDashboardLoaded() {
         try {
-            // Wait for dashboard elements to be visible
-            await Promise.race([
-                this.webApplicationLink.waitFor({ timeout: 10000 }),
-                this.mobileApplicationLink.waitFor({ timeout: 10000 })
-            ]);
+            // Wait for the project sidebar to be visible
+            await this.projectLinks.first().waitFor({ timeout: 10000 });
 
             // Dashboard loaded successfully
             return true;
@@ -27,11 +63,10 @@ export class DashboardPage {
 
     async verifyUserIsAuthenticated() {
         try {
-            // Check if at least one application link is visible (indicates user is logged in)
-            const webAppVisible = await this.webApplicationLink.isVisible().catch(() => false);
-            const mobileAppVisible = await this.mobileApplicationLink.isVisible().catch(() => false);
-            
-            if (webAppVisible || mobileAppVisible) {
+            // Check if at least one project link is visible (indicates user is logged in)
+            const projectLinkVisible = await this.projectLinks.first().isVisible().catch(() => false);
+
+            if (projectLinkVisible) {
                 await debugLog('User authentication verified - application links visible', 'SUCCESS');
                 return true;
             } else {
@@ -46,11 +81,10 @@ export class DashboardPage {
 
     async verifyUserIsNotAuthenticated() {
         try {
-            // Check if application links are NOT visible (indicates user is not logged in)
-            const webAppCount = await this.webApplicationLink.count();
-            const mobileAppCount = await this.mobileApplicationLink.count();
-            
-            if (webAppCount === 0 && mobileAppCount === 0) {
+            // Check if project links are NOT visible (indicates user is not logged in)
+            const projectLinkCount = await this.projectLinks.count();
+
+            if (projectLinkCount === 0) {
                 await debugLog('User authentication verified - no application links visible', 'SUCCESS');
                 return true;
             } else {
@@ -63,84 +97,242 @@ export class DashboardPage {
         }
     }
 
-    async navigateToWebApplication() {
+    /**
+     * Lists every project shown in the sidebar
+     *
+     * @returns {Promise<Array<{name: string, description: string}>>}
+     */
+    async listProjects() {
         try {
-            // Use POM selector
-            await this.webApplicationLink.click();
+            await this.projectLinks.first().waitFor({ timeout: 10000 });
 
-            // Wait for navigation
-            await this.page.waitForLoadState('networkidle');
-            
-            // Verify we're on the Web Application page
-            const webAppLoaded = await this.verifyWebApplicationLoaded();
-            if (webAppLoaded) {
-                await debugLog('Successfully navigated to Web Application', 'SUCCESS');
-                return true;
-            } else {
-                await debugLog('Web Application page did not load properly', 'ERROR');
-                return false;
+            const projects = [];
+            for (const link of await this.projectLinks.all()) {
+                const name = ((await link.locator('h2').first().textContent()) || '').trim();
+                const descriptionLocator = link.locator('p').first();
+                const description = (await descriptionLocator.count()) > 0
+                    ? ((await descriptionLocator.textContent()) || '').trim()
+                    : '';
+                projects.push({ name, description });
             }
+
+            await debugLog(`Projects in sidebar: [${projects.map(project => project.name).join(', ')}]`, 'INFO');
+            return projects;
         } catch (error) {
-            await debugLog(`Failed to navigate to Web Application: ${error.message}`, 'ERROR');
-            return false;
+            await debugLog(`Failed to list projects: ${error.message}`, 'ERROR');
+            return [];
         }
     }
 
-    async navigateToMobileApplication() {
-        await debugLog('Navigating to Mobile Application...', 'INFO');
-        
+    /**
+     * Opens a project board by its sidebar name
+     *
+     * @param {string} projectName - Project name as shown in the sidebar (case-insensitive)
+     * @returns {Promise<boolean>} - True when the project's board loaded
+     */
+    async navigateToProject(projectName) {
+        await debugLog(`Navigating to project "${projectName}"...`, 'INFO');
+
         try {
-            // Use POM selector
-            await this.mobileApplicationLink.click();
+            const link = this.getProjectLink(projectName);
+            if (await link.count() === 0) {
+                const projects = await this.listProjects();
+                await debugLog(`Project "${projectName}" not found. Projects in sidebar: [${projects.map(project => project.name).join(', ')}]`, 'ERROR');
+                return false;
+            }
+
+            await link.click();
 
             // Wait for navigation
             await this.page.waitForLoadState('networkidle');
-            
-            // Verify we're on the Mobile Application page
-            const mobileAppLoaded = await this.verifyMobileApplicationLoaded();
-            if (mobileAppLoaded) {
-                await debugLog('Successfully navigated to Mobile Application', 'SUCCESS');
+
+            const projectLoaded = await this.verifyProjectLoaded(projectName);
+            if (projectLoaded) {
+                await debugLog(`Successfully navigated to ${projectName}`, 'SUCCESS');
                 return true;
             } else {
-                await debugLog('Mobile Application page did not load properly', 'ERROR');
+                await debugLog(`${projectName} page did not load properly`, 'ERROR');
                 return false;
             }
         } catch (error) {
-            await debugLog(`Failed to navigate to Mobile Application: ${error.message}`, 'ERROR');
+            await debugLog(`Failed to navigate to ${projectName}: ${error.message}`, 'ERROR');
             return false;
         }
     }
 
-    async verifyWebApplicationLoaded() {
+    /**
+     * Reads which project the page currently shows
+     *
+     * @returns {Promise<{header: string|null, activeProjects: string[], url: string}>}
+     *          header - main-area h1 (outside the sidebar); activeProjects - sidebar links marked as selected
+     */
+    async getActiveProject() {
+        const state = await this.page.evaluate((activeClassSource) => {
+            const activeClass = new RegExp(activeClassSource);
+            const text = (element) => (element ? element.textContent : '').replace(/\s+/g, ' ').trim();
+
+            const header = Array.from(document.querySelectorAll('h1')).find(heading => !heading.closest('aside, nav'));
+            const activeProjects = Array.from(document.querySelectorAll('button'))
+                .filter(button => button.querySelector('h2'))
+                .filter(button => ['page', 'true'].includes(button.getAttribute('aria-current'))
+                    || button.getAttribute('aria-selected') === 'true'
+                    || activeClass.test(button.className))
+                .map(button => text(button.querySelector('h2')));
+
+            return { header: header ? text(header) : null, activeProjects };
+        }, ACTIVE_PROJECT_CLASS.source);
+
+        return { ...state, url: this.page.url() };
+    }
+
+    /**
+     * Verifies the displayed board belongs to the given project
+     *
+     * Checks the board header, that the project's sidebar link is the only one
+     * marked as selected and, when a project route is configured, the URL.
+     * Retries until the checks pass or the timeout expires.
+     *
+     * @param {string} projectName - Expected project name
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds to wait for the project to show (default: 5000)
+     * @returns {Promise<boolean>}
+     */
+    async verifyProjectLoaded(projectName, { timeout = 5000 } = {}) {
+        const expected = normalizeProjectName(projectName);
+        const expectedPath = this.projectRoute ? this.projectRoute.replace('{slug}', toProjectSlug(projectName)) : null;
+        const deadline = Date.now() + timeout;
+
         try {
-            // Look for Web Application specific elements
-            await Promise.race([
-                this.page.waitForSelector('text=Web Application', { timeout: 5000 }),
-                this.page.waitForSelector('[data-testid*="web"]', { timeout: 5000 }),
-                this.page.waitForSelector('.kanban', { timeout: 5000 }),
-                this.page.waitForSelector('.column', { timeout: 5000 })
-            ]);
-            return true;
+            while (true) {
+                const state = await this.getActiveProject();
+                const failures = [];
+
+                if (normalizeProjectName(state.header) !== expected) {
+                    failures.push(`header shows "${state.header}"`);
+                }
+                if (state.activeProjects.length !== 1 || normalizeProjectName(state.activeProjects[0]) !== expected) {
+                    failures.push(`sidebar marks [${state.activeProjects.join(', ')}] as active`);
+                }
+                if (expectedPath && new URL(state.url).pathname.replace(/\/+$/, '') !== expectedPath) {
+                    failures.push(`URL is ${state.url}, expected path ${expectedPath}`);
+                }
+
+                if (failures.length === 0) {
+                    await debugLog(`${projectName} is the active project`, 'INFO');
+                    return true;
+                }
+                if (Date.now() >= deadline) {
+                    await debugLog(`${projectName} verification failed: ${failures.join('; ')}`, 'ERROR');
+                    return false;
+                }
+                await this.page.waitForTimeout(250);
+            }
         } catch (error) {
-            await debugLog(`Web Application verification failed: ${error.message}`, 'ERROR');
+            await debugLog(`${projectName} verification failed: ${error.message}`, 'ERROR');
             return false;
         }
     }
 
+    async navigateToWebApplication() {
+        return await this.navigateToProject('Web Application');
+    }
+
+    async navigateToMobileApplication() {
+        return await this.navigateToProject('Mobile Application');
+    }
+
+    async verifyWebApplicationLoaded() {
+        return await this.verifyProjectLoaded('Web Application');
+    }
+
     async verifyMobileApplicationLoaded() {
+        return await this.verifyProjectLoaded('Mobile Application');
+    }
+
+    /**
+     * Signs out through the dashboard's sign-out button
+     *
+     * @returns {Promise<{success: boolean, error?: string}>} - Success once the project sidebar is gone
+     */
+    async logout() {
+        await debugLog('Signing out...', 'INFO');
+
         try {
-            // Look for Mobile Application specific elements
-            await Promise.race([
-                this.page.waitForSelector('text=Mobile Application', { timeout: 5000 }),
-                this.page.waitForSelector('[data-testid*="mobile"]', { timeout: 5000 }),
-                this.page.waitForSelector('.kanban', { timeout: 5000 }),
-                this.page.waitForSelector('.column', { timeout: 5000 })
-            ]);
-
-            await debugLog('Mobile Application page loaded', 'INFO');
-            return true;
+            await this.logoutButton.first().click();
+            await this.projectLinks.first().waitFor({ state: 'detached', timeout: 10000 });
+            await this.page.waitForLoadState('networkidle');
+
+            await debugLog('Signed out - project sidebar removed', 'SUCCESS');
+            return { success: true };
+        } catch (error) {
+            await debugLog(`Sign out failed: ${error.message}`, 'ERROR');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Lists cookies, localStorage and sessionStorage entries whose names look like auth data
+     *
+     * @returns {Promise<{cookies: string[], localStorage: string[], sessionStorage: string[]}>}
+     */
+    async getAuthArtifacts() {
+        const cookies = (await this.page.context().cookies())
+            .map(cookie => cookie.name)
+            .filter(name => AUTH_STORAGE_KEY.test(name));
+
+        const storage = await this.page.evaluate((keySource) => {
+            const authKey = new RegExp(keySource, 'i');
+            const keys = (store) => Object.keys(store).filter(key => authKey.test(key));
+            return { localStorage: keys(window.localStorage), sessionStorage: keys(window.sessionStorage) };
+        }, AUTH_STORAGE_KEY.source);
+
+        return { cookies, ...storage };
+    }
+
+    /**
+     * Verifies no auth cookie or web storage entry survived logout
+     *
+     * Only meaningful when getAuthArtifacts() found the session before logout;
+     * a session kept under a name AUTH_STORAGE_KEY misses would always look cleared.
+     *
+     * @returns {Promise<{cleared: boolean, leftovers: {cookies: string[], localStorage: string[], sessionStorage: string[]}}>}
+     */
+    async verifySessionCleared() {
+        try {
+            const leftovers = await this.getAuthArtifacts();
+            const cleared = Object.values(leftovers).every(names => names.length === 0);
+
+            if (cleared) {
+                await debugLog('Session cleared - no auth cookies or storage entries left', 'SUCCESS');
+            } else {
+                await debugLog(`Auth data left after logout: ${JSON.stringify(leftovers)}`, 'ERROR');
+            }
+            return { cleared, leftovers };
+        } catch (error) {
+            await debugLog(`Session clear verification failed: ${error.message}`, 'ERROR');
+            return { cleared: false, leftovers: null };
+        }
+    }
+
+    /**
+     * Presses the browser back button and verifies the board does not come back
+     *
+     * @returns {Promise<boolean>} - True when the previous page shows no projects
+     */
+    async verifyBackNavigationBlocked() {
+        try {
+            await this.page.goBack();
+            await this.page.waitForLoadState('networkidle');
+
+            const blocked = await this.verifyUserIsNotAuthenticated();
+            if (blocked) {
+                await debugLog(`Back button blocked - landed on ${this.page.url()}`, 'SUCCESS');
+            } else {
+                await debugLog(`Back button reached the dashboard at ${this.page.url()}`, 'ERROR');
+            }
+            return blocked;
         } catch (error) {
-            await debugLog(`Mobile Application verification failed: ${error.message}`, 'ERROR');
+            await debugLog(`Back navigation check failed: ${error.message}`, 'ERROR');
             return false;
         }
     }
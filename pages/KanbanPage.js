@@ -1,13 +1,51 @@
 import { debugLog } from '../shared/debug.js';
+import { CURRENT_ENV, DEFAULT_TAG_TAXONOMY } from '../shared/env.js';
 import { PlaywrightHandler } from '../shared/PlaywrightHandler.js';
+import { compareTags, describeTagDiff } from '../shared/tags.js';
+
+/**
+ * DOM structure used by parseBoard()
+ * Column headings are h2 elements outside the project sidebar and dialogs; a
+ * column is the heading's parent and each card is identified by its h3 title.
+ */
+const BOARD_SELECTORS = {
+    columnHeading: 'h2',
+    excludedContainers: 'button, nav, aside, [role="dialog"]',
+    cardTitle: 'h3',
+    cardDescription: 'p',
+    cardTag: 'span[class*="rounded-full"], [class*="tag"], [class*="badge"]'
+};
+
+// Tasks created through createTask(), tracked per Playwright page so any
+// KanbanPage instance (e.g. one built in an afterEach hook) can clean them up
+const createdTasksByPage = new WeakMap();
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Column names compare case- and whitespace-insensitively ("todo" matches "To Do")
+function normalizeColumnName(name) {
+    return (name || '').toLowerCase().replace(/\s+/g, '');
+}
 
 export class KanbanPage {
-    constructor(page) {
+    /**
+     * @param {Page} page - Playwright page instance
+     * @param {Object} options
+     * @param {Object} options.columnAliases - Map of alternative column names to rendered names
+     *                                         (defaults to the environment's BOARD.COLUMN_ALIASES)
+     * @param {Object} options.tagTaxonomy - Tag vocabulary and default match mode
+     *                                       (defaults to the environment's BOARD.TAGS)
+     */
+    constructor(page, {
+        columnAliases = (CURRENT_ENV.BOARD && CURRENT_ENV.BOARD.COLUMN_ALIASES) || {},
+        tagTaxonomy = (CURRENT_ENV.BOARD && CURRENT_ENV.BOARD.TAGS) || DEFAULT_TAG_TAXONOMY
+    } = {}) {
         this.page = page;
         this.handler = new PlaywrightHandler(page);
-        this.toDoColumn = page.locator('h2:has-text("To Do")');
-        this.inProgressColumn = page.locator('h2:has-text("In Progress")');
-        this.doneColumn = page.locator('h2:has-text("Done")');
+        this.columnAliases = columnAliases;
+        this.tagTaxonomy = { ...DEFAULT_TAG_TAXONOMY, ...tagTaxonomy };
     }
 
     async waitForKanbanBoard() {
@@ -16,18 +54,17 @@ export class KanbanPage {
             
             // Wait for kanban board elements - try multiple selectors
             await Promise.race([
-                this.page.waitForSelector('h2:has-text("To Do")', { timeout: 10000 }),
-                this.page.waitForSelector('h2:has-text("In Progress")', { timeout: 10000 }),
-                this.page.waitForSelector('h2:has-text("Done")', { timeout: 10000 }),
-                this.page.waitForSelector('[role="heading"]:has-text("To Do")', { timeout: 10000 }),
                 this.page.waitForSelector('.kanban', { timeout: 10000 }),
                 this.page.waitForSelector('.column', { timeout: 10000 }),
                 this.page.waitForSelector('[data-testid*="kanban"]', { timeout: 10000 }),
                 this.page.waitForSelector('.board', { timeout: 10000 })
             ]);
 
-            // Wait for at least one column to be visible
-            await this.toDoColumn.waitFor({ timeout: 5000 });
+            // Wait for at least one column heading to be rendered
+            await this.page.waitForFunction((selectors) =>
+                Array.from(document.querySelectorAll(selectors.columnHeading))
+                    .some(heading => !heading.closest(selectors.excludedContainers)),
+            BOARD_SELECTORS, { timeout: 5000 });
             
             await debugLog('Kanban board loaded successfully', 'SUCCESS');
             return true;
@@ -37,221 +74,208 @@ export class KanbanPage {
         }
     }
 
-    getColumnLocator(columnName) {
-        switch (columnName.toLowerCase()) {
-            case 'to do':
-            case 'todo':
-                return this.toDoColumn;
-            case 'in progress':
-            case 'inprogress':
-                return this.inProgressColumn;
-            case 'done':
-                return this.doneColumn;
-            default:
-                throw new Error(`Unknown column name: ${columnName}`);
+    /**
+     * Reads the column names from the rendered headings, in board order
+     *
+     * @returns {Promise<string[]>}
+     */
+    async discoverColumns() {
+        return this.page.evaluate((selectors) =>
+            Array.from(document.querySelectorAll(selectors.columnHeading))
+                .filter(heading => !heading.closest(selectors.excludedContainers))
+                .map(heading => (heading.textContent || '').replace(/\s+/g, ' ').trim().replace(/\s*\(\d+\)$/, '')),
+        BOARD_SELECTORS);
+    }
+
+    /**
+     * Maps a requested column name onto one of the available column names
+     *
+     * Tries a case/whitespace-insensitive match first, then the alias map.
+     *
+     * @param {string} columnName - Requested column name (e.g. "todo", "Code Review")
+     * @param {string[]} availableColumns - Column names rendered on the board
+     * @returns {string|null} - The rendered column name, or null when nothing matches
+     */
+    matchColumnName(columnName, availableColumns) {
+        const findColumn = (name) => availableColumns.find(column => normalizeColumnName(column) === normalizeColumnName(name));
+
+        const direct = findColumn(columnName);
+        if (direct) return direct;
+
+        const aliasKey = Object.keys(this.columnAliases).find(alias => normalizeColumnName(alias) === normalizeColumnName(columnName));
+        return aliasKey ? findColumn(this.columnAliases[aliasKey]) || null : null;
+    }
+
+    async resolveColumnName(columnName) {
+        const columns = await this.discoverColumns();
+        const resolved = this.matchColumnName(columnName, columns);
+        if (!resolved) {
+            throw new Error(`Unknown column name: ${columnName}. Columns on board: [${columns.join(', ')}]`);
         }
+        return resolved;
+    }
+
+    /**
+     * Locator for a column heading, resolved against the rendered columns
+     */
+    async getColumnLocator(columnName) {
+        const resolved = await this.resolveColumnName(columnName);
+        return this.page.locator(BOARD_SELECTORS.columnHeading)
+            .filter({ hasText: this.getColumnHeadingPattern(resolved) })
+            .first();
     }
 
-    async findTaskInColumn(taskName, columnName) {
+    /**
+     * Finds a task card inside a specific column
+     *
+     * Strict mode (default) only accepts an exact, unique title match inside the
+     * column's own container, so a task in another column can never be reported
+     * as found. Non-strict mode adds looser fallbacks (partial text, page-wide
+     * text checked for containment in the column). The matching strategy is
+     * always returned so callers can tell how a result was obtained.
+     *
+     * @param {string} taskName - Card title
+     * @param {string} columnName - Column name (aliases allowed)
+     * @param {Object} options
+     * @param {boolean} options.strict - Disable the loose fallbacks (default: true)
+     * @returns {Promise<Object>} - { found, card, title, index, column, strategy, strict } or { found: false, reason, strict }
+     */
+    async findTaskInColumn(taskName, columnName, { strict = true } = {}) {
         try {
-            await debugLog(`Looking for task "${taskName}" in column "${columnName}"`, 'INFO');
+            await debugLog(`Looking for task "${taskName}" in column "${columnName}" (${strict ? 'strict' : 'lenient'})`, 'INFO');
 
             // Wait for the page to be ready
             await this.page.waitForLoadState('networkidle');
 
-            // First, try to find the task directly using text selectors
-            const taskSelectors = [
-                `text="${taskName}"`,
-                `text*="${taskName}"`,
-                `[data-testid*="${taskName.toLowerCase()}"]`,
-                `[class*="${taskName.toLowerCase()}"]`
+            const columns = await this.discoverColumns();
+            const resolvedColumn = this.matchColumnName(columnName, columns);
+            if (!resolvedColumn) {
+                const reason = `Column "${columnName}" not found. Columns on board: [${columns.join(', ')}]`;
+                await debugLog(reason, 'WARN');
+                return { found: false, reason, strict };
+            }
+
+            const container = await this.getColumnContainer(resolvedColumn);
+            const exactTitle = new RegExp(`^\\s*${escapeRegExp(taskName.trim())}\\s*$`, 'i');
+
+            const strategies = [
+                {
+                    name: 'column-card-title',
+                    locate: () => container.locator(BOARD_SELECTORS.cardTitle).filter({ hasText: exactTitle })
+                },
+                {
+                    name: 'column-exact-text',
+                    locate: () => container.getByText(taskName.trim(), { exact: true })
+                }
             ];
 
-            for (const selector of taskSelectors) {
-                try {
-                    const elements = await this.page.locator(selector).all();
-                    if (elements.length > 0) {
-                        await debugLog(`Found ${elements.length} elements with selector "${selector}"`, 'INFO');
-                        
-                        for (const element of elements) {
-                            const text = await element.textContent();
-                            if (text && text.toLowerCase().includes(taskName.toLowerCase())) {
-                                // Check if this element is in the correct column
-                                const isInColumn = await this.isElementInColumn(element, columnName);
-                                if (isInColumn) {
-                                    await debugLog(`Found task "${taskName}" in column "${columnName}": "${text.trim()}"`, 'SUCCESS');
-                                    return {
-                                        found: true,
-                                        card: element,
-                                        title: taskName,
-                                        index: 0
-                                    };
-                                }
-                            }
-                        }
+            if (!strict) {
+                strategies.push(
+                    {
+                        name: 'column-partial-text',
+                        locate: () => container.getByText(taskName.trim())
+                    },
+                    {
+                        name: 'page-text-in-column',
+                        locate: () => this.page.getByText(taskName.trim(), { exact: true }),
+                        requiresContainment: true
                     }
-                } catch (e) {
-                    // Continue to next selector
-                }
+                );
             }
 
-            // If direct text search fails, try searching within the column
-            const columnLocator = this.getColumnLocator(columnName);
-            await columnLocator.waitFor({ timeout: 10000 });
+            const reasons = [];
+            for (const strategy of strategies) {
+                let matches = await strategy.locate().all();
 
-            // Look for all elements within the column
-            const columnElements = await columnLocator.locator('*').all();
-            await debugLog(`Found ${columnElements.length} elements in column "${columnName}"`, 'INFO');
+                if (strategy.requiresContainment) {
+                    const contained = [];
+                    for (const match of matches) {
+                        if (await this.isElementInColumn(match, resolvedColumn)) contained.push(match);
+                    }
+                    matches = contained;
+                }
 
-            for (const element of columnElements) {
-                const text = await element.textContent();
-                if (text && text.toLowerCase().includes(taskName.toLowerCase())) {
-                    await debugLog(`Found task "${taskName}" in column "${columnName}": "${text.trim()}"`, 'SUCCESS');
-                    return {
-                        found: true,
-                        card: element,
-                        title: taskName,
-                        index: 0
-                    };
+                if (matches.length === 0) {
+                    reasons.push(`${strategy.name}: no match`);
+                    continue;
                 }
-            }
 
-            // Last resort: search the entire page
-            const allElements = await this.page.locator('*').all();
-            await debugLog(`Searching entire page (${allElements.length} elements) for "${taskName}"`, 'INFO');
-
-            for (const element of allElements) {
-                const text = await element.textContent();
-                if (text && text.toLowerCase().includes(taskName.toLowerCase())) {
-                    const isInColumn = await this.isElementInColumn(element, columnName);
-                    if (isInColumn) {
-                        await debugLog(`Found task "${taskName}" in column "${columnName}" via page search: "${text.trim()}"`, 'SUCCESS');
-                        return { found: true, card: element, title: taskName };
-                    }
+                // Duplicate titles make the result ambiguous - never guess in strict mode
+                if (matches.length > 1 && strict) {
+                    reasons.push(`${strategy.name}: ${matches.length} matches`);
+                    continue;
                 }
+
+                const titleElement = matches[0];
+                const title = ((await titleElement.textContent()) || '').trim();
+                const columnTitles = (await container.locator(BOARD_SELECTORS.cardTitle).allTextContents()).map(text => text.trim());
+
+                await debugLog(`Found task "${taskName}" in column "${resolvedColumn}" via ${strategy.name}`, 'SUCCESS');
+                return {
+                    found: true,
+                    card: titleElement.locator('xpath=..'),
+                    title,
+                    index: columnTitles.findIndex(text => text.toLowerCase() === title.toLowerCase()),
+                    column: resolvedColumn,
+                    strategy: strategy.name,
+                    strict
+                };
             }
 
-            await debugLog(`Task "${taskName}" not found in column "${columnName}"`, 'WARN');
-            return { found: false };
+            // Say where the task is instead, if it is on the board at all
+            const board = await this.parseBoard();
+            const elsewhere = this.findCardInModel(board, taskName);
+            const location = elsewhere ? ` (it is in "${elsewhere.column}")` : ' (it is not on the board)';
+            const reason = `Task "${taskName}" not found in column "${resolvedColumn}"${location}. Tried ${reasons.join('; ')}`;
+
+            await debugLog(reason, 'WARN');
+            return { found: false, reason, actualColumn: elsewhere ? elsewhere.column : null, strict };
         } catch (error) {
             await debugLog(`Error finding task "${taskName}" in column "${columnName}": ${error.message}`, 'ERROR');
-            return { found: false, error: error.message };
+            return { found: false, reason: error.message, error: error.message, strict };
         }
     }
 
+    /**
+     * Checks whether an element sits inside the given column's container
+     */
     async isElementInColumn(element, columnName) {
         try {
-            // Check if the element is within a column by looking for column headers in parent elements
-            const columnLocator = this.getColumnLocator(columnName);
-            
-            // Try multiple approaches to check if element is in column
-            const approaches = [
-                // Approach 1: Check if element is descendant of column
-                async () => {
-                    const parentColumn = await element.locator(`xpath=ancestor::*[contains(., '${columnName}')]`).first();
-                    return await parentColumn.count() > 0;
-                },
-                // Approach 2: Check if element is within the column container
-                async () => {
-                    const columnElement = await this.page.locator(columnSelector).first();
-                    const isWithinColumn = await element.evaluate((el, columnEl) => {
-                        return columnEl && columnEl.contains(el);
-                    }, await columnElement.elementHandle());
-                    return isWithinColumn;
-                },
-                // Approach 3: Check if element's text appears after the column header
-                async () => {
-                    const columnElement = await this.page.locator(columnSelector).first();
-                    const columnRect = await columnElement.boundingBox();
-                    const elementRect = await element.boundingBox();
-                    
-                    if (columnRect && elementRect) {
-                        // Check if element is below the column header and roughly in the same horizontal area
-                        return elementRect.y > columnRect.y && 
-                               elementRect.x >= columnRect.x - 50 && 
-                               elementRect.x <= columnRect.x + columnRect.width + 50;
-                    }
-                    return false;
-                }
-            ];
+            const container = await this.getColumnContainer(columnName);
+            const containerHandle = await container.elementHandle({ timeout: 5000 });
+            if (!containerHandle) return false;
 
-            for (const approach of approaches) {
-                try {
-                    const result = await approach();
-                    if (result) {
-                        return true;
-                    }
-                } catch (e) {
-                    // Continue to next approach
-                }
-            }
-
-            return false;
+            return await element.evaluate((node, columnElement) => columnElement.contains(node), containerHandle);
         } catch (error) {
             return false;
         }
     }
 
+    /**
+     * Reads the tags shown on a single card
+     *
+     * Tag chips are found by BOARD_SELECTORS.cardTag plus an exact-text match
+     * for every tag in the taxonomy's vocabulary. The search never leaves the
+     * card, so tags from neighbouring cards are not picked up.
+     */
     async getTaskTags(taskCard) {
         try {
-            // Try multiple approaches to find tags - ONLY within the specific task card
-            const tagSelectors = [
-                'text=Feature',
-                'text=High Priority',
-                'text=Bug',
-                'text=Design',
-                '[class*="tag"]',
-                '[class*="badge"]',
-                '[class*="label"]',
-                'span:has-text("Feature")',
-                'span:has-text("High Priority")',
-                'span:has-text("Bug")',
-                'span:has-text("Design")'
+            const tagLocators = [
+                taskCard.locator(BOARD_SELECTORS.cardTag),
+                ...this.tagTaxonomy.VOCABULARY.map(tag =>
+                    taskCard.getByText(tag, { exact: true }))
             ];
 
             const tags = [];
-            
-            // Only search within the specific task card to ensure tags belong to this task
-            for (const selector of tagSelectors) {
-                try {
-                    const elements = await taskCard.locator(selector).all();
-                    for (const element of elements) {
-                        const tagText = await element.textContent();
-                        if (tagText && tagText.trim() && !tags.includes(tagText.trim())) {
-                            tags.push(tagText.trim());
-                        }
+            for (const locator of tagLocators) {
+                for (const text of await locator.allTextContents()) {
+                    const tagText = text.trim();
+                    if (tagText && !tags.includes(tagText)) {
+                        tags.push(tagText);
                     }
-                } catch (e) {
-                    // Continue to next selector
                 }
             }
 
-            // Also search within the immediate container of the task card (but not the entire column)
-            try {
-                const taskContainer = taskCard.locator('xpath=..');
-                const containerText = await taskContainer.textContent();
-                
-                // Only search within the container if it's likely to contain tags for this specific task
-                // Check if the container contains the task name to ensure it's the right container
-                if (containerText && containerText.includes(await taskCard.textContent())) {
-                    for (const selector of tagSelectors) {
-                        try {
-                            const elements = await taskContainer.locator(selector).all();
-                            for (const element of elements) {
-                                const tagText = await element.textContent();
-                                if (tagText && tagText.trim() && !tags.includes(tagText.trim())) {
-                                    tags.push(tagText.trim());
-                                }
-                            }
-                        } catch (e) {
-                            // Continue to next selector
-                        }
-                    }
-                }
-            } catch (e) {
-                // Continue
-            }
-
             await debugLog(`Found tags for this specific task: [${tags.join(', ')}]`, 'INFO');
             return tags;
         } catch (error) {
@@ -260,52 +284,151 @@ export class KanbanPage {
         }
     }
 
-    async verifyTaskInColumn(taskName, columnName, expectedTags = []) {
+    /**
+     * Reads the rendered board into a structured model
+     *
+     * Columns are discovered from their headings and cards from their titles,
+     * so any card on the board is picked up without a list of known tasks.
+     *
+     * @returns {Promise<{columns: Array<{name: string, cards: Array<{title: string, description: string, tags: string[], position: number}>}>}>}
+     */
+    async parseBoard() {
+        await this.page.waitForLoadState('networkidle');
+
+        const columns = await this.page.evaluate((selectors) => {
+            const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+            const headings = Array.from(document.querySelectorAll(selectors.columnHeading))
+                .filter(heading => !heading.closest(selectors.excludedContainers));
+
+            return headings.map((heading) => {
+                const container = heading.parentElement;
+                const titles = Array.from(container.querySelectorAll(selectors.cardTitle));
+
+                const cards = titles.map((titleElement, position) => {
+                    // Walk up to the outermost element that still holds only this card
+                    let card = titleElement;
+                    while (card.parentElement && card.parentElement !== container &&
+                           card.parentElement.querySelectorAll(selectors.cardTitle).length === 1) {
+                        card = card.parentElement;
+                    }
+
+                    const description = card.querySelector(selectors.cardDescription);
+                    const tags = Array.from(card.querySelectorAll(selectors.cardTag))
+                        .filter(tag => tag.children.length === 0)
+                        .map(tag => normalize(tag.textContent))
+                        .filter((tag, index, all) => tag && all.indexOf(tag) === index);
+
+                    return {
+                        title: normalize(titleElement.textContent),
+                        description: description ? normalize(description.textContent) : '',
+                        tags,
+                        position
+                    };
+                });
+
+                return {
+                    // Headings render as "To Do (2)" - drop the card count
+                    name: normalize(heading.textContent).replace(/\s*\(\d+\)$/, ''),
+                    cards
+                };
+            });
+        }, BOARD_SELECTORS);
+
+        await debugLog(`Parsed board: ${columns.map(column => `${column.name} (${column.cards.length})`).join(', ')}`, 'INFO');
+        return { columns };
+    }
+
+    findColumnInModel(board, columnName) {
+        const resolved = this.matchColumnName(columnName, board.columns.map(column => column.name));
+        return board.columns.find(column => column.name === resolved) || null;
+    }
+
+    findCardInModel(board, taskName) {
+        const target = taskName.toLowerCase().trim();
+        for (const column of board.columns) {
+            const card = column.cards.find(candidate => candidate.title.toLowerCase() === target);
+            if (card) {
+                return { column: column.name, card };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Verifies a task is in a column and, when expectedTags is non-empty, that
+     * its tags match under the given mode (see shared/tags.js)
+     *
+     * @param {string} taskName - Card title
+     * @param {string} columnName - Column name or alias
+     * @param {string[]} expectedTags - Expected tags; an empty list skips the tag check
+     * @param {Object} options
+     * @param {string} options.tagMatchMode - exact | subset | superset (defaults to the taxonomy's MATCH_MODE)
+     * @returns {Promise<Object>} Result with tagsMatch and tagDiff ({missing, unexpected, unknown}) when tags were checked
+     */
+    async verifyTaskInColumn(taskName, columnName, expectedTags = [], { tagMatchMode = this.tagTaxonomy.MATCH_MODE } = {}) {
         try {
             await debugLog(`Verifying task "${taskName}" in column "${columnName}"`, 'INFO');
-            
-            // Find the task
-            const taskResult = await this.findTaskInColumn(taskName, columnName);
-            
-            if (!taskResult.found) {
-                await debugLog(`Task "${taskName}" not found in column "${columnName}"`, 'ERROR');
+
+            const board = await this.parseBoard();
+            const column = this.findColumnInModel(board, columnName);
+
+            if (!column) {
+                await debugLog(`Column "${columnName}" not found on board`, 'ERROR');
                 return {
                     found: false,
-                    error: `Task "${taskName}" not found in column "${columnName}"`
+                    error: `Column "${columnName}" not found. Columns on board: [${board.columns.map(c => c.name).join(', ')}]`
                 };
             }
 
-            // Get task tags
-            const actualTags = await this.getTaskTags(taskResult.card);
+            const card = column.cards.find(candidate => candidate.title.toLowerCase() === taskName.toLowerCase().trim());
+
+            if (!card) {
+                // Report where the task actually is to make failures actionable
+                const elsewhere = this.findCardInModel(board, taskName);
+                const error = elsewhere
+                    ? `Task "${taskName}" not found in column "${columnName}" (found in "${elsewhere.column}")`
+                    : `Task "${taskName}" not found in column "${columnName}"`;
+                await debugLog(error, 'ERROR');
+                return {
+                    found: false,
+                    actualColumn: elsewhere ? elsewhere.column : null,
+                    error
+                };
+            }
+
+            const actualTags = card.tags;
             await debugLog(`Task tags found: [${actualTags.join(', ')}]`, 'INFO');
 
             // Verify tags if expected tags are provided
-            let tagsMatch = true;
+            let tagDiff = null;
             if (expectedTags && expectedTags.length > 0) {
-                tagsMatch = expectedTags.every(expectedTag => 
-                    actualTags.some(actualTag => 
-                        actualTag.toLowerCase().includes(expectedTag.toLowerCase())
-                    )
-                );
+                tagDiff = compareTags(actualTags, expectedTags, {
+                    mode: tagMatchMode,
+                    caseSensitive: this.tagTaxonomy.CASE_SENSITIVE,
+                    vocabulary: this.tagTaxonomy.VOCABULARY
+                });
 
-                if (tagsMatch) {
-                    await debugLog(`All expected tags found: [${expectedTags.join(', ')}]`, 'SUCCESS');
+                if (tagDiff.match) {
+                    await debugLog(`Tags match expected [${expectedTags.join(', ')}] (${tagDiff.mode})`, 'SUCCESS');
                 } else {
-                    const missingTags = expectedTags.filter(expectedTag => 
-                        !actualTags.some(actualTag => 
-                            actualTag.toLowerCase().includes(expectedTag.toLowerCase())
-                        )
-                    );
-                    await debugLog(`Missing expected tags: [${missingTags.join(', ')}]`, 'ERROR');
+                    await debugLog(`Tag mismatch on "${taskName}" - ${describeTagDiff(tagDiff)}`, 'ERROR');
+                }
+                if (tagDiff.unknown.length > 0) {
+                    await debugLog(`Tags outside the configured vocabulary: [${tagDiff.unknown.join(', ')}]`, 'WARN');
                 }
             }
 
             return {
                 found: true,
-                title: taskResult.title,
+                title: card.title,
                 tags: actualTags,
-                tagsMatch: tagsMatch,
-                column: columnName
+                tagsMatch: tagDiff ? tagDiff.match : true,
+                tagDiff,
+                position: card.position,
+                column: column.name,
+                // Read from the parsed board model, scoped to the column container
+                strategy: 'board-model'
             };
 
         } catch (error) {
@@ -319,49 +442,23 @@ export class KanbanPage {
 
     async getAllTasksInColumn(columnName) {
         try {
-            const columnLocator = this.getColumnLocator(columnName);
             await debugLog(`Getting all tasks in column "${columnName}"`, 'INFO');
 
-            // Wait for the column to be visible
-            await columnLocator.waitFor({ timeout: 5000 });
-
-            // Search for specific tasks directly in the column using the same approach as findTaskInColumn
-            const tasks = [];
-            const knownTasks = [
-                'Implement user authentication',
-                'Fix navigation bug', 
-                'Design system updates',
-                'Push notification system',
-                'Offline mode',
-                'App icon design'
-            ];
+            const board = await this.parseBoard();
+            const column = this.findColumnInModel(board, columnName);
 
-            // Search for each known task directly in the column
-            for (const taskName of knownTasks) {
-                try {
-                    // Look for the task text within the column
-                    const taskElement = columnLocator.locator(`text="${taskName}"`).first();
-                    const count = await taskElement.count();
-
-                    if (count > 0) {
-                        // Verify this task is actually in the correct column
-                        const isInColumn = await this.isElementInColumn(taskElement, columnName);
-                        if (isInColumn) {
-                            const tags = await this.getTaskTags(taskElement);
-                            tasks.push({
-                                title: taskName,
-                                tags: tags,
-                                index: tasks.length
-                            });
-                            await debugLog(`Found task "${taskName}" in column "${columnName}"`, 'SUCCESS');
-                        }
-                    }
-                } catch (error) {
-                    // Task not found in this column, continue
-                    continue;
-                }
+            if (!column) {
+                await debugLog(`Column "${columnName}" not found on board`, 'WARN');
+                return [];
             }
 
+            const tasks = column.cards.map(card => ({
+                title: card.title,
+                description: card.description,
+                tags: card.tags,
+                index: card.position
+            }));
+
             await debugLog(`Found ${tasks.length} tasks in column "${columnName}"`, 'SUCCESS');
             return tasks;
         } catch (error) {
@@ -373,17 +470,15 @@ export class KanbanPage {
     async getAllTasks() {
         try {
             await debugLog('Getting all tasks from Kanban board', 'INFO');
-            
-            const allTasks = [];
-            const columnNames = ['To Do', 'In Progress', 'Done'];
-            
-            for (const columnName of columnNames) {
-                const tasks = await this.getAllTasksInColumn(columnName);
-                allTasks.push(...tasks.map(task => ({
-                    ...task,
-                    column: columnName
-                })));
-            }
+
+            const board = await this.parseBoard();
+            const allTasks = board.columns.flatMap(column => column.cards.map(card => ({
+                title: card.title,
+                description: card.description,
+                tags: card.tags,
+                index: card.position,
+                column: column.name
+            })));
 
             await debugLog(`Found ${allTasks.length} total tasks`, 'SUCCESS');
             return allTasks;
@@ -396,17 +491,17 @@ export class KanbanPage {
     async getAllColumns() {
         try {
             await debugLog('Getting all columns from Kanban board', 'INFO');
-            
-            const columns = [];
-            const columnNames = ['To Do', 'In Progress', 'Done'];
-            
-            for (const columnName of columnNames) {
-                const tasks = await this.getAllTasksInColumn(columnName);
-                columns.push({
-                    name: columnName,
-                    tasks: tasks
-                });
-            }
+
+            const board = await this.parseBoard();
+            const columns = board.columns.map(column => ({
+                name: column.name,
+                tasks: column.cards.map(card => ({
+                    title: card.title,
+                    description: card.description,
+                    tags: card.tags,
+                    index: card.position
+                }))
+            }));
 
             await debugLog(`Found ${columns.length} columns`, 'SUCCESS');
             return columns;
@@ -416,6 +511,383 @@ export class KanbanPage {
         }
     }
 
+    getColumnHeadingPattern(columnName) {
+        return new RegExp(`^\\s*${escapeRegExp(columnName.trim())}(\\s*\\(\\d+\\))?\\s*$`, 'i');
+    }
+
+    /**
+     * Locator for a column container (the parent of its heading)
+     */
+    async getColumnContainer(columnName) {
+        const heading = await this.getColumnLocator(columnName);
+        return heading.locator('xpath=..');
+    }
+
+    /**
+     * Locator for a card (the parent of its title) matched by exact title
+     */
+    getCardLocator(taskName) {
+        return this.page.locator(BOARD_SELECTORS.cardTitle)
+            .filter({ hasText: new RegExp(`^\\s*${escapeRegExp(taskName.trim())}\\s*$`, 'i') })
+            .first()
+            .locator('xpath=..');
+    }
+
+    /**
+     * Moves a card to another column (or position) and verifies the result
+     *
+     * @param {string} taskName - Title of the card to move
+     * @param {string} targetColumn - Destination column name
+     * @param {Object} options
+     * @param {number|null} options.position - 0-based position in the target column (default: end of column)
+     * @param {string} options.strategy - 'mouse' (drag and drop) or 'keyboard' (Space/arrow keys)
+     * @returns {Promise<Object>} - { success, from, to, before, after, error }
+     */
+    async moveTask(taskName, targetColumn, { position = null, strategy = 'mouse' } = {}) {
+        let before = null;
+
+        try {
+            await debugLog(`Moving task "${taskName}" to "${targetColumn}" (${strategy} strategy)`, 'INFO');
+
+            before = await this.parseBoard();
+            const source = this.findCardInModel(before, taskName);
+            if (!source) {
+                return { success: false, before, error: `Task "${taskName}" not found on board` };
+            }
+
+            const target = this.findColumnInModel(before, targetColumn);
+            if (!target) {
+                return { success: false, before, error: `Column "${targetColumn}" not found on board` };
+            }
+
+            // Target column as it will look once the card has left its current slot
+            const remaining = target.cards.filter(card => card.title !== source.card.title);
+            const expectedPosition = position === null || position === undefined
+                ? remaining.length
+                : Math.max(0, Math.min(position, remaining.length));
+            const expectedOrder = remaining.map(card => card.title);
+            expectedOrder.splice(expectedPosition, 0, source.card.title);
+
+            if (strategy === 'mouse') {
+                await this.dragTaskWithMouse(source.card.title, target.name, remaining, expectedPosition);
+            } else if (strategy === 'keyboard') {
+                await this.moveTaskWithKeyboard(before, source, target, expectedPosition);
+            } else {
+                throw new Error(`Unknown move strategy: ${strategy}`);
+            }
+
+            const after = await this.parseBoard();
+            const problems = this.verifyMove(before, after, source, target.name, expectedOrder);
+
+            const result = {
+                success: problems.length === 0,
+                from: { column: source.column, position: source.card.position },
+                to: { column: target.name, position: expectedPosition },
+                before,
+                after
+            };
+
+            if (result.success) {
+                await debugLog(`Moved "${source.card.title}" from "${source.column}" to "${target.name}" at position ${expectedPosition}`, 'SUCCESS');
+            } else {
+                result.error = `Move verification failed: ${problems.join('; ')}`;
+                await debugLog(result.error, 'ERROR');
+            }
+            return result;
+        } catch (error) {
+            await debugLog(`Error moving task "${taskName}": ${error.message}`, 'ERROR');
+            return { success: false, before, error: error.message };
+        }
+    }
+
+    async dragTaskWithMouse(taskName, targetColumn, remainingCards, targetPosition) {
+        const card = this.getCardLocator(taskName);
+        await card.scrollIntoViewIfNeeded();
+
+        // Drop on the top edge of the card that should end up below ours, or at the bottom of the column
+        let dropPoint;
+        if (targetPosition < remainingCards.length) {
+            const anchorBox = await this.getCardLocator(remainingCards[targetPosition].title).boundingBox();
+            dropPoint = { x: anchorBox.x + anchorBox.width / 2, y: anchorBox.y + Math.min(10, anchorBox.height / 4) };
+        } else {
+            const columnBox = await (await this.getColumnContainer(targetColumn)).boundingBox();
+            dropPoint = { x: columnBox.x + columnBox.width / 2, y: columnBox.y + columnBox.height - 10 };
+        }
+
+        const cardBox = await card.boundingBox();
+        await this.page.mouse.move(cardBox.x + cardBox.width / 2, cardBox.y + cardBox.height / 2);
+        await this.page.mouse.down();
+        await this.page.mouse.move(dropPoint.x, dropPoint.y, { steps: 10 });
+        await this.page.mouse.up();
+    }
+
+    async moveTaskWithKeyboard(board, source, target, targetPosition) {
+        const sourceIndex = board.columns.findIndex(column => column.name === source.column);
+        const targetIndex = board.columns.indexOf(target);
+        const direction = targetIndex > sourceIndex ? 1 : -1;
+
+        const card = this.getCardLocator(source.card.title);
+        await card.focus();
+        await this.page.keyboard.press('Space');
+
+        // Each column step keeps the card's index, clamped to the length of the column it enters
+        let currentPosition = source.card.position;
+        for (let columnIndex = sourceIndex; columnIndex !== targetIndex; columnIndex += direction) {
+            await this.page.keyboard.press(direction > 0 ? 'ArrowRight' : 'ArrowLeft');
+            const entered = board.columns[columnIndex + direction];
+            currentPosition = Math.min(currentPosition, entered.cards.filter(c => c.title !== source.card.title).length);
+        }
+
+        const verticalSteps = targetPosition - currentPosition;
+        for (let step = 0; step < Math.abs(verticalSteps); step++) {
+            await this.page.keyboard.press(verticalSteps > 0 ? 'ArrowDown' : 'ArrowUp');
+        }
+
+        await this.page.keyboard.press('Space');
+    }
+
+    verifyMove(before, after, source, targetColumn, expectedOrder) {
+        const problems = [];
+
+        const target = this.findColumnInModel(after, targetColumn);
+        const actualOrder = target ? target.cards.map(card => card.title) : [];
+        if (actualOrder.join('\n') !== expectedOrder.join('\n')) {
+            problems.push(`"${targetColumn}" order is [${actualOrder.join(', ')}], expected [${expectedOrder.join(', ')}]`);
+        }
+
+        if (source.column !== targetColumn) {
+            const expectedSource = this.findColumnInModel(before, source.column).cards
+                .map(card => card.title)
+                .filter(title => title !== source.card.title);
+            const sourceAfter = this.findColumnInModel(after, source.column);
+            const actualSource = sourceAfter ? sourceAfter.cards.map(card => card.title) : [];
+            if (actualSource.join('\n') !== expectedSource.join('\n')) {
+                problems.push(`"${source.column}" order is [${actualSource.join(', ')}], expected [${expectedSource.join(', ')}]`);
+            }
+        }
+
+        return problems;
+    }
+
+    getCreatedTasks() {
+        if (!createdTasksByPage.has(this.page)) {
+            createdTasksByPage.set(this.page, []);
+        }
+        return createdTasksByPage.get(this.page);
+    }
+
+    async fillTaskForm(dialog, fields) {
+        const inputs = {
+            title: dialog.getByLabel('Title'),
+            description: dialog.getByLabel('Description'),
+            tags: dialog.getByLabel('Tags'),
+            assignee: dialog.getByLabel('Assignee'),
+            dueDate: dialog.getByLabel('Due date')
+        };
+
+        for (const [name, value] of Object.entries(fields)) {
+            if (value === undefined || !inputs[name]) continue;
+            await inputs[name].fill(Array.isArray(value) ? value.join(', ') : String(value));
+        }
+    }
+
+    /**
+     * Creates a card through the column's "Add task" form and verifies it on the board
+     *
+     * The card is tracked for cleanup from the moment Save is clicked until
+     * deleteTask() removes it.
+     *
+     * @param {Object} task - { column, title, description, tags, assignee, dueDate }
+     * @returns {Promise<Object>} - { success, task, column, error }
+     */
+    async createTask({ column, title, description = '', tags = [], assignee, dueDate }) {
+        try {
+            await debugLog(`Creating task "${title}" in column "${column}"`, 'INFO');
+
+            const columnContainer = await this.getColumnContainer(column);
+            await columnContainer.getByRole('button', { name: /add task/i }).click();
+            const dialog = this.page.getByRole('dialog');
+            await dialog.waitFor({ state: 'visible' });
+
+            await this.fillTaskForm(dialog, { title, description, tags, assignee, dueDate });
+            await dialog.getByRole('button', { name: 'Save' }).click();
+            // Track before waiting on the dialog: the card may exist even if the wait below times out
+            this.getCreatedTasks().push({ title, url: this.page.url() });
+            await dialog.waitFor({ state: 'hidden' });
+
+            const board = await this.parseBoard();
+            const columnModel = this.findColumnInModel(board, column);
+            const card = columnModel && columnModel.cards.find(candidate => candidate.title === title);
+
+            if (!card) {
+                const error = `Created task "${title}" not found in column "${column}"`;
+                await debugLog(error, 'ERROR');
+                return { success: false, error };
+            }
+
+            await debugLog(`Task "${title}" created in column "${columnModel.name}"`, 'SUCCESS');
+            return { success: true, task: card, column: columnModel.name };
+        } catch (error) {
+            await debugLog(`Error creating task "${title}": ${error.message}`, 'ERROR');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Edits an existing card. Only the provided fields are changed.
+     *
+     * @param {string} taskName - Current title of the card
+     * @param {Object} changes - Any of { title, description, tags, assignee, dueDate }
+     * @returns {Promise<Object>} - { success, task, column, error }
+     */
+    async editTask(taskName, changes = {}) {
+        try {
+            await debugLog(`Editing task "${taskName}"`, 'INFO');
+
+            await this.getCardLocator(taskName).getByRole('button', { name: 'Edit task' }).click();
+            const dialog = this.page.getByRole('dialog');
+            await dialog.waitFor({ state: 'visible' });
+
+            await this.fillTaskForm(dialog, changes);
+            await dialog.getByRole('button', { name: 'Save' }).click();
+            await dialog.waitFor({ state: 'hidden' });
+
+            const newTitle = changes.title || taskName;
+            if (changes.title) {
+                // Keep cleanup tracking pointed at the card's current title
+                const tracked = this.getCreatedTasks().find(task => task.title === taskName);
+                if (tracked) tracked.title = changes.title;
+            }
+
+            const board = await this.parseBoard();
+            const located = this.findCardInModel(board, newTitle);
+            if (!located) {
+                const error = `Edited task "${newTitle}" not found on board`;
+                await debugLog(error, 'ERROR');
+                return { success: false, error };
+            }
+
+            const mismatches = ['description', 'tags']
+                .filter(field => changes[field] !== undefined)
+                .filter(field => JSON.stringify(located.card[field]) !== JSON.stringify(changes[field]));
+            if (mismatches.length > 0) {
+                const error = `Task "${newTitle}" did not keep edited fields: [${mismatches.join(', ')}]`;
+                await debugLog(error, 'ERROR');
+                return { success: false, task: located.card, column: located.column, error };
+            }
+
+            await debugLog(`Task "${newTitle}" updated`, 'SUCCESS');
+            return { success: true, task: located.card, column: located.column };
+        } catch (error) {
+            await debugLog(`Error editing task "${taskName}": ${error.message}`, 'ERROR');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Deletes a card after confirming the deletion dialog
+     *
+     * @param {string} taskName - Title of the card
+     * @returns {Promise<Object>} - { success, error }
+     */
+    async deleteTask(taskName) {
+        try {
+            await debugLog(`Deleting task "${taskName}"`, 'INFO');
+
+            await this.getCardLocator(taskName).getByRole('button', { name: 'Delete task' }).click();
+            const dialog = this.page.getByRole('dialog');
+            await dialog.waitFor({ state: 'visible' });
+            await dialog.getByRole('button', { name: 'Delete' }).click();
+            await dialog.waitFor({ state: 'hidden' });
+
+            const createdTasks = this.getCreatedTasks();
+            const trackedIndex = createdTasks.findIndex(task => task.title === taskName);
+            if (trackedIndex !== -1) createdTasks.splice(trackedIndex, 1);
+
+            const board = await this.parseBoard();
+            if (this.findCardInModel(board, taskName)) {
+                const error = `Task "${taskName}" is still on the board after deletion`;
+                await debugLog(error, 'ERROR');
+                return { success: false, error };
+            }
+
+            await debugLog(`Task "${taskName}" deleted`, 'SUCCESS');
+            return { success: true };
+        } catch (error) {
+            await debugLog(`Error deleting task "${taskName}": ${error.message}`, 'ERROR');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Removes every task created on this page that has not been deleted yet
+     *
+     * Intended for afterEach hooks so created data is removed even when the test fails.
+     * Errors are logged and reported per task rather than thrown.
+     *
+     * @returns {Promise<Array<Object>>} - Tasks that could not be removed
+     */
+    async cleanupCreatedTasks() {
+        const createdTasks = [...this.getCreatedTasks()];
+        const failures = [];
+
+        for (const task of createdTasks) {
+            // Dismiss any dialog a failed step may have left open
+            await this.page.keyboard.press('Escape').catch(() => {});
+
+            try {
+                if (this.page.url() !== task.url) {
+                    await this.page.goto(task.url);
+                    await this.waitForKanbanBoard();
+                }
+
+                const board = await this.parseBoard();
+                if (!this.findCardInModel(board, task.title)) {
+                    this.getCreatedTasks().splice(this.getCreatedTasks().indexOf(task), 1);
+                    continue;
+                }
+
+                const result = await this.deleteTask(task.title);
+                if (!result.success) {
+                    failures.push({ ...task, error: result.error });
+                }
+            } catch (error) {
+                // Keep going so one broken page does not leave the remaining tasks behind
+                await debugLog(`Error cleaning up task "${task.title}": ${error.message}`, 'ERROR');
+                failures.push({ ...task, error: error.message });
+            }
+        }
+
+        if (failures.length > 0) {
+            await debugLog(`Cleanup left ${failures.length} task(s) behind: [${failures.map(task => task.title).join(', ')}]`, 'WARN');
+        } else if (createdTasks.length > 0) {
+            await debugLog(`Cleaned up ${createdTasks.length} created task(s)`, 'SUCCESS');
+        }
+        return failures;
+    }
+
+    /**
+     * Reports which board actions the signed-in user is offered
+     *
+     * @returns {Promise<{create: boolean, edit: boolean, delete: boolean, move: boolean}|null>}
+     */
+    async getBoardPermissions() {
+        try {
+            const permissions = {
+                create: await this.page.getByRole('button', { name: /add task/i }).count() > 0,
+                edit: await this.page.getByRole('button', { name: 'Edit task' }).count() > 0,
+                delete: await this.page.getByRole('button', { name: 'Delete task' }).count() > 0,
+                move: await this.page.locator('[draggable="true"]').count() > 0
+            };
+
+            await debugLog(`Board permissions: ${JSON.stringify(permissions)}`, 'INFO');
+            return permissions;
+        } catch (error) {
+            await debugLog(`Error reading board permissions: ${error.message}`, 'ERROR');
+            return null;
+        }
+    }
+
     async takeKanbanScreenshot(name = 'kanban-board') {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const filename = `test-results/${name}-${timestamp}.png`;
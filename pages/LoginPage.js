@@ -18,6 +18,16 @@ import { debugLog } from '../shared/debug.js';
 import { TEST_DATA } from '../shared/env.js';
 import { PlaywrightHandler } from '../shared/PlaywrightHandler.js';
 
+// Outcomes a login attempt can end in (scenario `expectedResult` values)
+export const LOGIN_OUTCOMES = ['login_success', 'login_failure', 'validation_error', 'locked_out', 'rate_limited', 'captcha_required'];
+
+// Error messages that identify a specific rejection; any other error counts as login_failure
+const LOGIN_ERROR_OUTCOMES = [
+    { outcome: 'locked_out', pattern: /locked|disabled|suspended/i },
+    { outcome: 'rate_limited', pattern: /too many|rate limit|try again (later|in)/i },
+    { outcome: 'validation_error', pattern: /required|cannot be (empty|blank)|please (enter|fill)/i }
+];
+
 export class LoginPage {
     /**
      * Initialize the LoginPage with Playwright page instance
@@ -33,6 +43,8 @@ export class LoginPage {
         this.passwordInput = page.getByRole('textbox', { name: 'Password' });
         this.loginButton = page.getByRole('button', { name: 'Sign in' });
         this.errorMessage = page.locator('div.text-red-500.text-sm');
+        this.captchaChallenge = page.locator('iframe[src*="captcha"], iframe[title*="captcha" i], [class*="captcha"], [id*="captcha"]')
+            .or(page.getByText(/not a robot/i));
     }
 
     async navigateToLogin(url = null) {
@@ -43,8 +55,9 @@ export class LoginPage {
     }
 
     async login(email = null, password = null) {
-        const loginEmail = email || TEST_DATA.LOGIN.EMAIL;
-        const loginPassword = password || TEST_DATA.LOGIN.PASSWORD;
+        // Only null/undefined fall back to the configured user so empty fields can be submitted
+        const loginEmail = email ?? TEST_DATA.LOGIN.USERNAME;
+        const loginPassword = password ?? TEST_DATA.LOGIN.PASSWORD;
 
         await debugLog(`Attempting login with email: ${loginEmail}`, 'INFO');
 
@@ -129,6 +142,62 @@ export class LoginPage {
         }
     }
 
+    /**
+     * Reads how the last login attempt ended
+     *
+     * Browser form validation and a CAPTCHA challenge are detected directly, the
+     * error message is classified with LOGIN_ERROR_OUTCOMES and leaving the login
+     * page without an error is a success.
+     * Retries until an outcome shows or the timeout expires.
+     *
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds to wait for an outcome (default: 5000)
+     * @returns {Promise<{outcome: string|null, message: string|null}>} - outcome is null when nothing showed in time
+     */
+    async getLoginOutcome({ timeout = 5000 } = {}) {
+        const deadline = Date.now() + timeout;
+
+        try {
+            while (true) {
+                // Fields rejected by the browser before the form is submitted
+                const validationMessage = await this.page.evaluate(() => {
+                    const invalid = document.querySelector('form input:invalid');
+                    return invalid ? invalid.validationMessage : null;
+                });
+                if (validationMessage) {
+                    return { outcome: 'validation_error', message: validationMessage };
+                }
+
+                if (await this.captchaChallenge.first().isVisible().catch(() => false)) {
+                    const message = await this.errorMessage.isVisible().catch(() => false)
+                        ? ((await this.errorMessage.textContent()) || '').trim()
+                        : null;
+                    return { outcome: 'captcha_required', message };
+                }
+
+                if (await this.errorMessage.isVisible().catch(() => false)) {
+                    const message = ((await this.errorMessage.textContent()) || '').trim();
+                    const match = LOGIN_ERROR_OUTCOMES.find(({ pattern }) => pattern.test(message));
+                    return { outcome: match ? match.outcome : 'login_failure', message };
+                }
+
+                const loginFormVisible = await this.loginButton.isVisible().catch(() => false);
+                if (!loginFormVisible && !/login|signin/.test(this.page.url())) {
+                    return { outcome: 'login_success', message: null };
+                }
+
+                if (Date.now() >= deadline) {
+                    await debugLog('No login outcome shown before the timeout', 'WARN');
+                    return { outcome: null, message: null };
+                }
+                await this.page.waitForTimeout(250);
+            }
+        } catch (error) {
+            await debugLog(`Could not read login outcome: ${error.message}`, 'ERROR');
+            return { outcome: null, message: null };
+        }
+    }
+
     async getCurrentUrl() {
         return this.page.url();
     }
@@ -0,0 +1,145 @@
+import { debugLog } from '../shared/debug.js';
+import { PlaywrightHandler } from '../shared/PlaywrightHandler.js';
+import { KanbanPage } from './KanbanPage.js';
+
+/**
+ * Task detail dialog opened by clicking a card on the board
+ *
+ * The dialog shows the card's title as its heading and one labelled entry per
+ * field (Description, Assignee, Tags, Due date). Editing goes through the same
+ * task form KanbanPage uses and returns to the details view on save.
+ */
+export class TaskDetailPage {
+    /**
+     * @param {Page} page - Playwright page instance
+     * @param {KanbanPage} kanbanPage - Board page used to locate cards and fill the task form
+     */
+    constructor(page, kanbanPage = new KanbanPage(page)) {
+        this.page = page;
+        this.handler = new PlaywrightHandler(page);
+        this.kanbanPage = kanbanPage;
+        this.dialog = page.getByRole('dialog', { name: 'Task details' });
+    }
+
+    // Value cell of a detail entry, located by its visible label
+    getField(label) {
+        return this.dialog.locator(`dt:text-is("${label}") + dd`);
+    }
+
+    /**
+     * Opens the details of a card by clicking its title
+     *
+     * @param {string} taskName - Card title
+     * @returns {Promise<Object>} - { success, error }
+     */
+    async openTask(taskName) {
+        try {
+            await debugLog(`Opening details for task "${taskName}"`, 'INFO');
+
+            await this.kanbanPage.getCardLocator(taskName).locator('h3').click();
+            await this.dialog.waitFor({ state: 'visible', timeout: 5000 });
+
+            const title = await this.dialog.getByRole('heading').first().textContent();
+            if (title.trim().toLowerCase() !== taskName.trim().toLowerCase()) {
+                const error = `Details opened for "${title.trim()}" instead of "${taskName}"`;
+                await debugLog(error, 'ERROR');
+                return { success: false, error };
+            }
+
+            await debugLog(`Details for "${taskName}" opened`, 'SUCCESS');
+            return { success: true };
+        } catch (error) {
+            await debugLog(`Error opening details for "${taskName}": ${error.message}`, 'ERROR');
+            return { success: false, error: error.message };
+        }
+    }
+
+    async isOpen() {
+        return await this.dialog.isVisible();
+    }
+
+    /**
+     * Reads every field shown in the open dialog
+     *
+     * @returns {Promise<{title: string, description: string, assignee: string, tags: string[], dueDate: string}|null>}
+     */
+    async getDetails() {
+        try {
+            const text = async (locator) => ((await locator.textContent()) || '').trim();
+
+            const details = {
+                title: await text(this.dialog.getByRole('heading').first()),
+                description: await text(this.getField('Description')),
+                assignee: await text(this.getField('Assignee')),
+                tags: (await this.getField('Tags').locator('.tag').allTextContents()).map(tag => tag.trim()),
+                dueDate: await text(this.getField('Due date'))
+            };
+
+            await debugLog(`Task details: ${JSON.stringify(details)}`, 'INFO');
+            return details;
+        } catch (error) {
+            await debugLog(`Error reading task details: ${error.message}`, 'ERROR');
+            return null;
+        }
+    }
+
+    /**
+     * Edits the open task and verifies the details view shows the new values
+     *
+     * @param {Object} changes - Any of { title, description, tags, assignee, dueDate }
+     * @returns {Promise<Object>} - { success, details, error }
+     */
+    async editTask(changes = {}) {
+        try {
+            const before = await this.getDetails();
+            await debugLog(`Editing task "${before.title}" from its details`, 'INFO');
+
+            await this.dialog.getByRole('button', { name: 'Edit' }).click();
+            const form = this.page.getByRole('dialog', { name: 'Edit task' });
+            await form.waitFor({ state: 'visible' });
+
+            await this.kanbanPage.fillTaskForm(form, changes);
+            await form.getByRole('button', { name: 'Save' }).click();
+            await this.dialog.waitFor({ state: 'visible' });
+
+            if (changes.title) {
+                // Keep cleanup tracking pointed at the card's current title
+                const tracked = this.kanbanPage.getCreatedTasks().find(task => task.title === before.title);
+                if (tracked) tracked.title = changes.title;
+            }
+
+            const details = await this.getDetails();
+            const mismatches = Object.keys(changes)
+                .filter(field => changes[field] !== undefined && field in details)
+                .filter(field => JSON.stringify(details[field]) !== JSON.stringify(changes[field]));
+            if (mismatches.length > 0) {
+                const error = `Task details did not show edited fields: [${mismatches.join(', ')}]`;
+                await debugLog(error, 'ERROR');
+                return { success: false, details, error };
+            }
+
+            await debugLog(`Task "${details.title}" updated from its details`, 'SUCCESS');
+            return { success: true, details };
+        } catch (error) {
+            await debugLog(`Error editing task from details: ${error.message}`, 'ERROR');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Closes the dialog
+     *
+     * @returns {Promise<boolean>} - True once the dialog is hidden
+     */
+    async close() {
+        try {
+            await this.dialog.getByRole('button', { name: 'Close' }).click();
+            await this.dialog.waitFor({ state: 'hidden', timeout: 5000 });
+            await debugLog('Task details closed', 'INFO');
+            return true;
+        } catch (error) {
+            await debugLog(`Error closing task details: ${error.message}`, 'ERROR');
+            return false;
+        }
+    }
+}
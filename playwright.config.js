@@ -11,10 +11,15 @@
  * - Storage state management for authentication
  * - Comprehensive reporting (HTML, JSON, JUnit)
  * - Environment-aware configuration
+ * - Bundled local demo app server for offline runs (ENV=LOCAL)
  * - CI/CD optimized settings
  */
 
 import { defineConfig, devices } from '@playwright/test';
+import { DEFAULT_ROLE, getCurrentEnvironment, getStorageStatePath } from './shared/env.js';
+
+// Only the LOCAL environment defines a web server; remote environments are already hosted
+const localWebServer = getCurrentEnvironment().WEB_SERVER;
 
 export default defineConfig({
   testDir: './tests',
@@ -72,11 +77,11 @@ export default defineConfig({
       testDir: './tests',
       use: { 
         ...devices['Desktop Chrome'],
-        // Pre-authenticated state for faster test execution
-        storageState: 'auth-state.json',
+        // Pre-authenticated state for faster test execution (default role; specs can switch with test.use({ role }))
+        storageState: getStorageStatePath(DEFAULT_ROLE),
       },
       dependencies: ['setup'],  // Ensure authentication runs first
-      testMatch: /.*(web-application|mobile-application|performance-tests|data-driven)\.spec\.js/,
+      testMatch: /.*(web-application|mobile-application|kanban-[a-z-]+|performance-tests|data-driven)\.spec\.js/,
     },
     
     // Unauthenticated test project - clean state for security testing
@@ -87,7 +92,19 @@ export default defineConfig({
         ...devices['Desktop Chrome'],
         // No storage state - clean browser for security tests
       },
-      testMatch: /.*(security-tests|login)\.spec\.js/,
+      testMatch: /.*(security-[a-z-]+|login)\.spec\.js/,
+      testIgnore: /.*security-session-tampering\.spec\.js/,
+    },
+
+    // Session tampering - clean browser, but reads the auth-<role>.json written by setup
+    {
+      name: 'session-tampering',
+      testDir: './tests',
+      use: {
+        ...devices['Desktop Chrome'],
+      },
+      dependencies: ['setup'],  // Tampered copies are made from the saved storage state
+      testMatch: /.*security-session-tampering\.spec\.js/,
     }
 /*
     {
@@ -116,10 +133,12 @@ export default defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  // Start the bundled demo app when running against the LOCAL environment
+  webServer: localWebServer ? {
+    command: localWebServer.COMMAND,
+    url: `http://127.0.0.1:${localWebServer.PORT}/`,
+    reuseExistingServer: !process.env.CI,
+    timeout: localWebServer.TIMEOUT,
+    env: { LOCAL_APP_PORT: String(localWebServer.PORT) },
+  } : undefined,
 });
@@ -1,8 +1,9 @@
 import { DashboardPage } from '../pages/DashboardPage.js';
 import { KanbanPage } from '../pages/KanbanPage.js';
-import { LoginPage } from '../pages/LoginPage.js';
+import { LOGIN_OUTCOMES, LoginPage } from '../pages/LoginPage.js';
+import { TaskDetailPage } from '../pages/TaskDetailPage.js';
 import { createSection, debugLog } from './debug.js';
-import { TEST_DATA } from './env.js';
+import { CURRENT_ENV, DEFAULT_ROLE, getUserForRole, TEST_DATA } from './env.js';
 
 export class LoginManager {
     static async login(page) {
@@ -16,6 +17,7 @@ export class LoginManager {
             const loginPage = new LoginPage(page);
             const dashboardPage = new DashboardPage(page);
             const kanbanPage = new KanbanPage(page);
+            const taskDetailPage = new TaskDetailPage(page, kanbanPage);
 
             // Step 1: Navigate to login page
             await debugLog('Step 1: Navigating to login page...', 'INFO');
@@ -47,7 +49,8 @@ export class LoginManager {
                 pages: {
                     loginPage,
                     dashboardPage,
-                    kanbanPage
+                    kanbanPage,
+                    taskDetailPage
                 }
             };
 
@@ -73,6 +76,7 @@ export class LoginManager {
             const loginPage = new LoginPage(page);
             const dashboardPage = new DashboardPage(page);
             const kanbanPage = new KanbanPage(page);
+            const taskDetailPage = new TaskDetailPage(page, kanbanPage);
 
             // Step 1: Navigate to login page
             await debugLog('Step 1: Navigating to login page...', 'INFO');
@@ -101,7 +105,8 @@ export class LoginManager {
                 pages: {
                     loginPage,
                     dashboardPage,
-                    kanbanPage
+                    kanbanPage,
+                    taskDetailPage
                 }
             };
 
@@ -116,6 +121,170 @@ export class LoginManager {
         }
     }
 
+    /**
+     * Signs a browser context in without the login form
+     *
+     * Posts the user's credentials to the environment's login API (AUTH.API_LOGIN)
+     * and writes the returned session into localStorage, so pages opened from the
+     * context start signed in. Falls back to the login form when the environment
+     * has no login API or the endpoint does not exist.
+     *
+     * @param {BrowserContext} context - Playwright browser context to sign in
+     * @param {{USERNAME: string, PASSWORD: string}} user - User to sign in as (default: the admin role)
+     * @returns {Promise<{success: boolean, strategy: 'programmatic'|'ui', error?: string}>}
+     */
+    static async loginProgrammatically(context, user = getUserForRole(DEFAULT_ROLE)) {
+        const section = createSection('Programmatic Login');
+        const apiLogin = CURRENT_ENV.AUTH.API_LOGIN;
+        let page;
+
+        try {
+            await section.start();
+            await debugLog(`Starting programmatic login as ${user.USERNAME}...`, 'INFO');
+            page = await context.newPage();
+
+            // Step 1: Log in through the API and store the session the way the app does
+            if (apiLogin) {
+                await debugLog('Step 1: Calling login API...', 'INFO');
+                const response = await context.request.post(new URL(apiLogin.ENDPOINT, TEST_DATA.LOGIN.URL).href, {
+                    data: { username: user.USERNAME, password: user.PASSWORD },
+                    failOnStatusCode: false
+                });
+
+                if (response.ok()) {
+                    const body = await response.json();
+                    const entries = Object.entries(apiLogin.STORAGE).map(([key, field]) => [
+                        key,
+                        typeof body[field] === 'string' ? body[field] : JSON.stringify(body[field])
+                    ]);
+
+                    // localStorage belongs to the app's origin, so open it before writing
+                    await page.goto(TEST_DATA.LOGIN.URL);
+                    await page.evaluate((items) => {
+                        items.forEach(([key, value]) => window.localStorage.setItem(key, value));
+                    }, entries);
+
+                    await debugLog('Programmatic login completed successfully', 'SUCCESS');
+                    return { success: true, strategy: 'programmatic' };
+                }
+
+                if (![404, 405, 501].includes(response.status())) {
+                    await debugLog(`Login API rejected ${user.USERNAME} with status ${response.status()}`, 'ERROR');
+                    return { success: false, strategy: 'programmatic', error: `Login API returned ${response.status()}` };
+                }
+                await debugLog(`Login API not available (status ${response.status()}), using the login form`, 'WARN');
+            } else {
+                await debugLog(`${CURRENT_ENV.NAME} has no login API, using the login form`, 'WARN');
+            }
+
+            // Step 2: Fall back to the login form
+            await debugLog('Step 2: Logging in through the form...', 'INFO');
+            const loginPage = new LoginPage(page);
+            await loginPage.navigateToLogin();
+            await loginPage.login(user.USERNAME, user.PASSWORD);
+
+            const dashboardLoaded = await new DashboardPage(page).verifyDashboardLoaded();
+            if (!dashboardLoaded) {
+                return { success: false, strategy: 'ui', error: 'Dashboard did not load after form login' };
+            }
+
+            await debugLog('Form login completed successfully', 'SUCCESS');
+            return { success: true, strategy: 'ui' };
+
+        } catch (error) {
+            await debugLog(`Programmatic login failed: ${error.message}`, 'ERROR');
+            return {
+                success: false,
+                strategy: 'programmatic',
+                error: error.message
+            };
+        } finally {
+            // The session lives in the context; the helper page is no longer needed
+            if (page) {
+                await page.close();
+            }
+            await section.end();
+        }
+    }
+
+    /**
+     * Attempts a login from a scenario and checks it ends the way the scenario expects
+     *
+     * @param {Page} page - Playwright page instance
+     * @param {Object} scenario - Login scenario from test-data.json
+     * @param {string} scenario.username - Username to type (may be empty)
+     * @param {string} scenario.password - Password to type (may be empty)
+     * @param {string} scenario.expectedResult - One of LOGIN_OUTCOMES
+     * @param {string} [scenario.expectedMessage] - Text the shown message must contain
+     * @returns {Promise<{success: boolean, outcome: string|null, message: string|null, error?: string}>}
+     */
+    static async runLoginScenario(page, scenario) {
+        const { username, password, expectedResult, expectedMessage } = scenario;
+        const section = createSection(`Login Scenario - ${expectedResult}`);
+
+        try {
+            await section.start();
+
+            if (!LOGIN_OUTCOMES.includes(expectedResult)) {
+                throw new Error(`Unknown expectedResult "${expectedResult}" (expected one of: ${LOGIN_OUTCOMES.join(', ')})`);
+            }
+
+            const loginPage = new LoginPage(page);
+            const dashboardPage = new DashboardPage(page);
+
+            // Step 1: Submit the scenario's credentials
+            await debugLog('Step 1: Submitting credentials...', 'INFO');
+            await loginPage.navigateToLogin();
+            await loginPage.login(username, password);
+
+            // Step 2: Compare the outcome and message with the scenario
+            await debugLog('Step 2: Reading login outcome...', 'INFO');
+            const { outcome, message } = await loginPage.getLoginOutcome();
+            const result = (success, error) => ({ success, outcome, message, ...(error ? { error } : {}) });
+
+            if (outcome !== expectedResult) {
+                await debugLog(`Expected ${expectedResult} but got ${outcome} ("${message}")`, 'ERROR');
+                return result(false, `Expected ${expectedResult} but got ${outcome}${message ? ` ("${message}")` : ''}`);
+            }
+            if (expectedMessage && !(message || '').includes(expectedMessage)) {
+                await debugLog(`Expected message "${expectedMessage}" but got "${message}"`, 'ERROR');
+                return result(false, `Expected message "${expectedMessage}" but got "${message}"`);
+            }
+
+            // Step 3: Only a successful login may reach the dashboard
+            await debugLog('Step 3: Verifying dashboard access...', 'INFO');
+            const accessAsExpected = expectedResult === 'login_success'
+                ? await dashboardPage.verifyDashboardLoaded()
+                : await dashboardPage.verifyUserIsNotAuthenticated();
+            if (!accessAsExpected) {
+                return result(false, expectedResult === 'login_success'
+                    ? 'Dashboard did not load after login'
+                    : 'Dashboard is reachable after a rejected login');
+            }
+
+            await debugLog(`Login ended in ${outcome} as expected`, 'SUCCESS');
+            return result(true);
+
+        } catch (error) {
+            await debugLog(`Login scenario failed: ${error.message}`, 'ERROR');
+            return {
+                success: false,
+                outcome: null,
+                message: null,
+                error: error.message
+            };
+        } finally {
+            await section.end();
+        }
+    }
+
+    /**
+     * Signs out through the dashboard and verifies the session is really gone:
+     * no auth cookies or web storage entries remain and the back button does
+     * not return to the board.
+     *
+     * @returns {Promise<{success: boolean, error?: string, leftovers?: Object, backNavigationBlocked?: boolean}>}
+     */
     static async logout(page) {
         const section = createSection('Logout Process');
         
@@ -123,50 +292,32 @@ export class LoginManager {
             await section.start();
             await debugLog('Starting logout process...', 'INFO');
 
-            // Look for logout button/link
-            const logoutSelectors = [
-                'text=Logout',
-                'text=Sign Out',
-                'text=Log Out',
-                '[data-testid*="logout"]',
-                '[data-testid*="signout"]',
-                'button:has-text("Logout")',
-                'a:has-text("Logout")'
-            ];
-
-            let logoutClicked = false;
-            for (const selector of logoutSelectors) {
-                try {
-                    await page.waitForSelector(selector, { timeout: 2000 });
-                    await page.click(selector);
-                    logoutClicked = true;
-                    await debugLog('Logout button clicked', 'SUCCESS');
-                    break;
-                } catch (e) {
-                    // Continue to next selector
-                }
-            }
+            const dashboardPage = new DashboardPage(page);
 
-            if (!logoutClicked) {
-                await debugLog('No logout button found, navigating to login page', 'WARN');
-                await page.goto(TEST_DATA.LOGIN.URL);
+            // Step 1: Sign out from the dashboard
+            await debugLog('Step 1: Signing out...', 'INFO');
+            const logoutResult = await dashboardPage.logout();
+            if (!logoutResult.success) {
+                return { success: false, error: `Sign out failed: ${logoutResult.error}` };
             }
 
-            // Wait for navigation
-            await page.waitForLoadState('networkidle');
+            // Step 2: Verify cookies and web storage hold no auth data
+            await debugLog('Step 2: Verifying session data was cleared...', 'INFO');
+            const { cleared, leftovers } = await dashboardPage.verifySessionCleared();
+            if (!cleared) {
+                return { success: false, error: `Auth data left after logout: ${JSON.stringify(leftovers)}`, leftovers };
+            }
 
-            // Verify we're back on login page
-            const currentUrl = page.url();
-            const isOnLoginPage = currentUrl.includes('login') || currentUrl.includes('signin') || currentUrl === TEST_DATA.LOGIN.URL;
-            
-            if (isOnLoginPage) {
-                await debugLog('Logout successful - returned to login page', 'SUCCESS');
-                return { success: true };
-            } else {
-                await debugLog('Logout verification failed - not on login page', 'WARN');
-                return { success: false, error: 'Not redirected to login page' };
+            // Step 3: Verify the back button cannot reach the board
+            await debugLog('Step 3: Verifying back navigation is blocked...', 'INFO');
+            const backNavigationBlocked = await dashboardPage.verifyBackNavigationBlocked();
+            if (!backNavigationBlocked) {
+                return { success: false, error: 'Back button returned to the board after logout', leftovers, backNavigationBlocked };
             }
 
+            await debugLog('Logout process completed successfully', 'SUCCESS');
+            return { success: true, leftovers, backNavigationBlocked };
+
         } catch (error) {
             await debugLog(`Logout process failed: ${error.message}`, 'ERROR');
             return {
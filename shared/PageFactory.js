@@ -1,5 +1,6 @@
 import { DashboardPage } from '../pages/DashboardPage.js';
 import { KanbanPage } from '../pages/KanbanPage.js';
+import { TaskDetailPage } from '../pages/TaskDetailPage.js';
 
 /**
  * Page Factory for creating page objects
@@ -7,9 +8,11 @@ import { KanbanPage } from '../pages/KanbanPage.js';
  */
 export class PageFactory {
     static createPages(page) {
+        const kanbanPage = new KanbanPage(page);
         return {
             dashboardPage: new DashboardPage(page),
-            kanbanPage: new KanbanPage(page)
+            kanbanPage,
+            taskDetailPage: new TaskDetailPage(page, kanbanPage)
         };
     }
 }
@@ -0,0 +1,102 @@
+/**
+ * Storage State Utilities
+ *
+ * Inspects the auth-<role>.json files written by auth.setup.js so a cached
+ * session is reused only while it still signs the user in. A state is stale
+ * when the file is missing, unreadable, older than AUTH.STATE_MAX_AGE_MS or
+ * no longer accepted by the dashboard.
+ */
+
+import fs from 'fs';
+import { DashboardPage } from '../pages/DashboardPage.js';
+import { debugLog } from './debug.js';
+import { CURRENT_ENV, getStorageStatePath } from './env.js';
+
+/**
+ * Age of a storage state file in milliseconds, or null when it does not exist
+ */
+export function getStorageStateAge(statePath) {
+    if (!fs.existsSync(statePath)) {
+        return null;
+    }
+    return Date.now() - fs.statSync(statePath).mtimeMs;
+}
+
+/**
+ * Reads and sanity-checks a storage state file
+ *
+ * @throws {Error} When the file is not JSON or lacks the cookies/origins arrays
+ */
+export function readStorageState(statePath) {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (!Array.isArray(state.cookies) || !Array.isArray(state.origins)) {
+        throw new Error('storage state has no cookies/origins arrays');
+    }
+    return state;
+}
+
+export function formatAge(ageMs) {
+    if (ageMs === null || ageMs === undefined) return 'n/a';
+    const minutes = Math.floor(ageMs / 60000);
+    return minutes < 1 ? `${Math.round(ageMs / 1000)}s` : `${minutes}m`;
+}
+
+/**
+ * Checks whether the cached storage state for a role can be reused
+ *
+ * The state is loaded into a fresh browser context and must show the
+ * authenticated dashboard (DashboardPage.verifyUserIsAuthenticated).
+ *
+ * @param {Browser} browser - Playwright browser
+ * @param {string} role - User role (auth-<role>.json)
+ * @param {Object} options
+ * @param {number} options.maxAgeMs - Oldest state to reuse (defaults to AUTH.STATE_MAX_AGE_MS)
+ * @returns {Promise<{valid: boolean, reason: string, ageMs: number|null, path: string}>}
+ */
+export async function validateStorageState(browser, role, { maxAgeMs = CURRENT_ENV.AUTH.STATE_MAX_AGE_MS } = {}) {
+    const statePath = getStorageStatePath(role);
+    const ageMs = getStorageStateAge(statePath);
+    const result = (valid, reason) => ({ valid, reason, ageMs, path: statePath });
+
+    if (ageMs === null) {
+        return result(false, 'no cached state');
+    }
+    if (ageMs > maxAgeMs) {
+        return result(false, `cached state is ${formatAge(ageMs)} old (max ${formatAge(maxAgeMs)})`);
+    }
+
+    try {
+        readStorageState(statePath);
+    } catch (error) {
+        return result(false, `cached state is corrupt: ${error.message}`);
+    }
+
+    let context;
+    try {
+        context = await browser.newContext({ storageState: statePath });
+        const page = await context.newPage();
+        await page.goto(CURRENT_ENV.URLS.ASANA_DEMO);
+
+        const dashboardPage = new DashboardPage(page);
+        await dashboardPage.waitForPageLoad();
+        const authenticated = await dashboardPage.verifyUserIsAuthenticated();
+
+        return authenticated
+            ? result(true, 'cached state signs in')
+            : result(false, 'cached state no longer signs in');
+    } catch (error) {
+        await debugLog(`Could not validate cached state for "${role}": ${error.message}`, 'WARN');
+        return result(false, `cached state could not be loaded: ${error.message}`);
+    } finally {
+        if (context) {
+            await context.close();
+        }
+    }
+}
+
+export default {
+    getStorageStateAge,
+    readStorageState,
+    formatAge,
+    validateStorageState
+};
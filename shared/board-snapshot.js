@@ -0,0 +1,177 @@
+/**
+ * Board Snapshot Utilities
+ *
+ * Serializes a parsed kanban board (columns, card order and tags) to JSON,
+ * stores it as a per-environment baseline and describes the differences
+ * between two snapshots in plain language ("card moved To Do → Done").
+ *
+ * Baselines live in board-snapshots/<ENV>/<name>.json. Update them with
+ * `npx playwright test --update-snapshots` or UPDATE_BOARD_SNAPSHOTS=true.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getTestEnv } from './env.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SNAPSHOT_ROOT = path.resolve(__dirname, '..', 'board-snapshots');
+
+/**
+ * Reduces a parseBoard() model to the fields a snapshot guards
+ *
+ * @param {{columns: Array}} board - Result of KanbanPage.parseBoard()
+ * @returns {{columns: Array<{name: string, cards: Array<{title: string, tags: string[]}>}>}}
+ */
+export function serializeBoard(board) {
+    return {
+        columns: board.columns.map(column => ({
+            name: column.name,
+            cards: column.cards.map(card => ({
+                title: card.title,
+                tags: [...card.tags]
+            }))
+        }))
+    };
+}
+
+// title -> { column, position, tags }
+function indexCards(snapshot) {
+    const cards = new Map();
+    for (const column of snapshot.columns) {
+        column.cards.forEach((card, position) => {
+            cards.set(card.title, { column: column.name, position, tags: card.tags });
+        });
+    }
+    return cards;
+}
+
+/**
+ * Describes how a board differs from its baseline
+ *
+ * Cards are matched by title. A card in the same column is only reported as
+ * reordered when its order relative to the other unchanged cards differs, so
+ * adding one card does not report every card below it.
+ *
+ * @param {Object} baseline - Serialized baseline board
+ * @param {Object} actual - Serialized current board
+ * @returns {string[]} One line per change; empty when the boards match
+ */
+export function diffBoards(baseline, actual) {
+    const changes = [];
+
+    const baselineColumns = baseline.columns.map(column => column.name);
+    const actualColumns = actual.columns.map(column => column.name);
+    baselineColumns.filter(name => !actualColumns.includes(name))
+        .forEach(name => changes.push(`column "${name}" removed`));
+    actualColumns.filter(name => !baselineColumns.includes(name))
+        .forEach(name => changes.push(`column "${name}" added`));
+
+    const keptBaseline = baselineColumns.filter(name => actualColumns.includes(name));
+    const keptActual = actualColumns.filter(name => baselineColumns.includes(name));
+    if (keptBaseline.join('\n') !== keptActual.join('\n')) {
+        changes.push(`columns reordered: ${keptBaseline.join(', ')} → ${keptActual.join(', ')}`);
+    }
+
+    const baselineCards = indexCards(baseline);
+    const actualCards = indexCards(actual);
+
+    for (const [title, before] of baselineCards) {
+        const after = actualCards.get(title);
+        if (!after) {
+            changes.push(`card "${title}" removed from ${before.column}`);
+            continue;
+        }
+        if (after.column !== before.column) {
+            changes.push(`card "${title}" moved ${before.column} → ${after.column}`);
+        }
+
+        before.tags.filter(tag => !after.tags.includes(tag))
+            .forEach(tag => changes.push(`tag ${tag} removed from "${title}"`));
+        after.tags.filter(tag => !before.tags.includes(tag))
+            .forEach(tag => changes.push(`tag ${tag} added to "${title}"`));
+    }
+
+    for (const [title, after] of actualCards) {
+        if (!baselineCards.has(title)) {
+            changes.push(`card "${title}" added to ${after.column}`);
+        }
+    }
+
+    // Order changes among cards that stayed in the same column
+    for (const column of actual.columns) {
+        const stayed = (snapshot) => {
+            const source = snapshot.columns.find(candidate => candidate.name === column.name);
+            return source ? source.cards.map(card => card.title).filter(title => {
+                const before = baselineCards.get(title);
+                const after = actualCards.get(title);
+                return before && after && before.column === column.name && after.column === column.name;
+            }) : [];
+        };
+        const beforeOrder = stayed(baseline);
+        const afterOrder = stayed(actual);
+        afterOrder.forEach((title, index) => {
+            if (beforeOrder[index] !== title) {
+                changes.push(`card "${title}" reordered in ${column.name}: position ${baselineCards.get(title).position} → ${actualCards.get(title).position}`);
+            }
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Baseline file for the current environment
+ */
+export function getBoardSnapshotPath(name) {
+    const sanitizedName = name.replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(SNAPSHOT_ROOT, getTestEnv().NAME, `${sanitizedName}.json`);
+}
+
+/**
+ * Whether the current environment has a committed baseline directory
+ *
+ * Environments without one skip the snapshot scenarios instead of failing
+ * and writing unreviewed baselines into the tree.
+ */
+export function hasBoardSnapshotBaselines() {
+    return fs.existsSync(path.join(SNAPSHOT_ROOT, getTestEnv().NAME));
+}
+
+/**
+ * Whether baselines should be rewritten instead of compared
+ *
+ * @param {Object} testInfo - Playwright TestInfo (honours --update-snapshots)
+ */
+export function shouldUpdateBoardSnapshots(testInfo) {
+    if (process.env.UPDATE_BOARD_SNAPSHOTS === 'true') {
+        return true;
+    }
+    const mode = testInfo && testInfo.config.updateSnapshots;
+    return mode === 'all' || mode === 'changed';
+}
+
+export function readBoardSnapshot(name) {
+    const snapshotPath = getBoardSnapshotPath(name);
+    if (!fs.existsSync(snapshotPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+}
+
+export function writeBoardSnapshot(name, snapshot) {
+    const snapshotPath = getBoardSnapshotPath(name);
+    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+    fs.writeFileSync(snapshotPath, `${JSON.stringify(snapshot, null, 2)}\n`);
+    return snapshotPath;
+}
+
+export default {
+    serializeBoard,
+    diffBoards,
+    getBoardSnapshotPath,
+    hasBoardSnapshotBaselines,
+    shouldUpdateBoardSnapshots,
+    readBoardSnapshot,
+    writeBoardSnapshot
+};
@@ -0,0 +1,153 @@
+/**
+ * Brute-Force Driver
+ *
+ * Replays failed logins through LoginPage.login against the account named in
+ * the environment's SECURITY.LOGIN_PROTECTION policy and checks the
+ * application protects it: the protection starts after MAX_ATTEMPTS
+ * failures, shows the policy's message and duration, refuses the correct
+ * password while active and lifts after LOCKOUT_MS.
+ */
+
+import { LoginPage } from '../pages/LoginPage.js';
+import { debugLog } from './debug.js';
+import { CURRENT_ENV } from './env.js';
+
+// Login outcome (LoginPage.getLoginOutcome) each protection mode produces once it starts
+export const PROTECTION_OUTCOMES = {
+    lockout: 'locked_out',
+    throttle: 'rate_limited',
+    captcha: 'captcha_required'
+};
+
+const RETRY_AFTER_UNITS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000
+};
+
+/**
+ * Reads the wait time stated in a rejection message
+ *
+ * "Try again in 5 seconds" -> 5000, "locked for 15 minutes" -> 900000
+ *
+ * @returns {number|null} - Milliseconds, or null when the message states no duration
+ */
+export function parseRetryAfter(message) {
+    const match = (message || '').match(/(\d+)\s*(second|minute|hour)s?/i);
+    if (!match) return null;
+    return Number(match[1]) * RETRY_AFTER_UNITS[match[2].toLowerCase()];
+}
+
+async function attemptLogin(loginPage, username, password) {
+    await loginPage.navigateToLogin();
+    await loginPage.login(username, password);
+    return loginPage.getLoginOutcome();
+}
+
+/**
+ * Drives failed logins until the login protection starts and checks how it behaves
+ *
+ * @param {Page} page - Playwright page instance (unauthenticated)
+ * @param {Object} policy - Login protection policy (defaults to SECURITY.LOGIN_PROTECTION)
+ * @param {Object} options
+ * @param {boolean} options.waitForRecovery - Wait for LOCKOUT_MS and check the correct password works again (default: true)
+ * @param {string} options.wrongPassword - Password used for the failed attempts
+ * @returns {Promise<{passed: boolean, failures: string[], attempts: Array<Object>, message: string|null,
+ *           retryAfterMs: number|null, correctLoginRefused: boolean, recovered: boolean|null}>}
+ */
+export async function runBruteForce(page, policy = CURRENT_ENV.SECURITY.LOGIN_PROTECTION, {
+    waitForRecovery = true,
+    wrongPassword = 'brute-force-wrong-password'
+} = {}) {
+    const { MODE, MAX_ATTEMPTS, LOCKOUT_MS, MESSAGE, ACCOUNT } = policy;
+    const expectedOutcome = PROTECTION_OUTCOMES[MODE];
+    if (!expectedOutcome) {
+        throw new Error(`Unknown login protection mode "${MODE}" (expected one of: ${Object.keys(PROTECTION_OUTCOMES).join(', ')})`);
+    }
+
+    const loginPage = new LoginPage(page);
+    const attempts = [];
+    const failures = [];
+    const attempt = async (password) => {
+        const result = await attemptLogin(loginPage, ACCOUNT.USERNAME, password);
+        attempts.push({
+            attempt: attempts.length + 1,
+            password: password === ACCOUNT.PASSWORD ? 'correct' : 'wrong',
+            ...result
+        });
+        await debugLog(`Attempt ${attempts.length}: ${result.outcome}${result.message ? ` ("${result.message}")` : ''}`, 'INFO');
+        return result;
+    };
+
+    // Step 1: Failed attempts the policy still allows
+    await debugLog(`Sending ${MAX_ATTEMPTS} failed logins for ${ACCOUNT.USERNAME}...`, 'INFO');
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        const { outcome } = await attempt(wrongPassword);
+        if (outcome !== 'login_failure') {
+            failures.push(`attempt ${i + 1} of ${MAX_ATTEMPTS} allowed ended in ${outcome}, expected login_failure`);
+        }
+    }
+    const protectionStartedAt = Date.now();
+
+    // Step 2: The next failure must hit the protection
+    await debugLog(`Checking ${MODE} after ${MAX_ATTEMPTS} failures...`, 'INFO');
+    const blocked = await attempt(wrongPassword);
+    if (blocked.outcome !== expectedOutcome) {
+        failures.push(`attempt ${MAX_ATTEMPTS + 1} ended in ${blocked.outcome}, expected ${expectedOutcome}`);
+    }
+    if (MESSAGE && !(blocked.message || '').includes(MESSAGE)) {
+        failures.push(`${MODE} message "${blocked.message}" does not contain "${MESSAGE}"`);
+    }
+
+    const retryAfterMs = parseRetryAfter(blocked.message);
+    if (retryAfterMs !== null && LOCKOUT_MS && retryAfterMs > LOCKOUT_MS + 1000) {
+        failures.push(`${MODE} lasts ${retryAfterMs}ms according to the message, policy allows ${LOCKOUT_MS}ms`);
+    }
+
+    // Step 3: The correct password is refused while the protection is active
+    await debugLog('Checking the correct password is refused...', 'INFO');
+    const correctDuringLockout = await attempt(ACCOUNT.PASSWORD);
+    const correctLoginRefused = correctDuringLockout.outcome !== 'login_success';
+    if (!correctLoginRefused) {
+        failures.push(`correct password was accepted during ${MODE}`);
+    } else if (correctDuringLockout.outcome !== expectedOutcome) {
+        failures.push(`correct password during ${MODE} ended in ${correctDuringLockout.outcome}, expected ${expectedOutcome}`);
+    }
+
+    // Step 4: The protection lifts once LOCKOUT_MS has passed
+    let recovered = null;
+    if (waitForRecovery && LOCKOUT_MS) {
+        const remainingMs = Math.max(0, protectionStartedAt + LOCKOUT_MS - Date.now());
+        await debugLog(`Waiting ${remainingMs}ms for the ${MODE} to expire...`, 'INFO');
+        await page.waitForTimeout(remainingMs + 500);
+
+        const afterLockout = await attempt(ACCOUNT.PASSWORD);
+        recovered = afterLockout.outcome === 'login_success';
+        if (!recovered) {
+            failures.push(`correct password still refused after ${LOCKOUT_MS}ms (${afterLockout.outcome})`);
+        }
+    }
+
+    const passed = failures.length === 0;
+    if (passed) {
+        await debugLog(`${MODE} behaved as configured for ${ACCOUNT.USERNAME}`, 'SUCCESS');
+    } else {
+        await debugLog(`${MODE} check failed: ${failures.join('; ')}`, 'ERROR');
+    }
+
+    return {
+        passed,
+        failures,
+        attempts,
+        message: blocked.message,
+        retryAfterMs,
+        correctLoginRefused,
+        recovered
+    };
+}
+
+export default {
+    PROTECTION_OUTCOMES,
+    parseRetryAfter,
+    runBruteForce
+};
@@ -2,12 +2,12 @@
  * Environment Configuration and Test Data Management
  * 
  * This module provides centralized configuration management for different
- * environments (DEMO, UAT, PROD) with dynamic credential loading, URL
+ * environments (DEMO, UAT, PROD, LOCAL) with dynamic credential loading, URL
  * management, and timeout configurations. It demonstrates enterprise-level
  * configuration management patterns with environment-specific settings.
  * 
  * Key Features:
- * - Multi-environment support (DEMO, UAT, PROD)
+ * - Multi-environment support (DEMO, UAT, PROD, LOCAL)
  * - Secure credential management via .env files
  * - Dynamic configuration loading based on environment
  * - Centralized test data management
@@ -36,12 +36,12 @@ const currentEnv = process.env.ENV || 'DEMO';
 
 // Validate environment variable
 if (!currentEnv) {
-    console.error('❌ ENV required: ENV=DEMO|UAT|PROD');
+    console.error('❌ ENV required: ENV=DEMO|UAT|PROD|LOCAL');
     process.exit(1);
 }
 
 // Validate against allowed environments
-const VALID_ENVIRONMENTS = ['DEMO', 'UAT', 'PROD'];
+const VALID_ENVIRONMENTS = ['DEMO', 'UAT', 'PROD', 'LOCAL'];
 if (!VALID_ENVIRONMENTS.includes(currentEnv.toUpperCase())) {
     console.error(`❌ Invalid ENV: ${currentEnv}. Use: ${VALID_ENVIRONMENTS.join('|')}`);
     process.exit(1);
@@ -62,6 +62,145 @@ export const CREDENTIALS = {
     PASSWORD: process.env.password || 'password123'
 };
 
+/**
+ * User roles
+ *
+ * Every environment defines its users per role in CREDENTIALS.USERS.
+ * auth.setup.js logs in once per role and saves auth-<role>.json; tests pick
+ * a role with the `role` option (see shared/test-wrappers.js).
+ */
+export const USER_ROLES = ['admin', 'member', 'read-only'];
+export const DEFAULT_ROLE = 'admin';
+
+// Member and read-only accounts for hosted environments come from .env;
+// roles without credentials are left out so setup does not try to log them in
+function configuredRoleUsers() {
+    const users = {};
+    if (process.env.member_username && process.env.member_password) {
+        users.member = { USERNAME: process.env.member_username, PASSWORD: process.env.member_password };
+    }
+    if (process.env.readonly_username && process.env.readonly_password) {
+        users['read-only'] = { USERNAME: process.env.readonly_username, PASSWORD: process.env.readonly_password };
+    }
+    return users;
+}
+
+// AUTH.FORM_VALIDATION: whether the login page reports empty or malformed fields
+// as a validation error (required inputs or a "required" message) rather than a
+// plain login failure; negative login scenarios with "requiresFormValidation"
+// are skipped where it is false
+
+// Oldest auth-<role>.json auth.setup.js will reuse before logging in again
+const AUTH_STATE_MAX_AGE_MS = (Number(process.env.AUTH_STATE_MAX_AGE_MINUTES) || 60) * 60 * 1000;
+
+/**
+ * How auth.setup.js signs users in
+ *
+ * programmatic - log in through the app's login API and write its session into
+ *                the browser storage (AUTH.API_LOGIN); environments without one
+ *                fall back to the login form
+ * ui           - always fill in the login form
+ *
+ * The login specs use the form regardless of this setting.
+ */
+export const LOGIN_STRATEGIES = ['programmatic', 'ui'];
+const LOGIN_STRATEGY = (process.env.LOGIN_STRATEGY || 'programmatic').toLowerCase();
+
+if (!LOGIN_STRATEGIES.includes(LOGIN_STRATEGY)) {
+    console.error(`❌ Invalid LOGIN_STRATEGY: ${process.env.LOGIN_STRATEGY}. Use: ${LOGIN_STRATEGIES.join('|')}`);
+    process.exit(1);
+}
+
+/**
+ * Whether an environment keeps board changes (BOARD.WRITABLE)
+ *
+ * The move, task and task-detail specs create, edit and move cards; they are
+ * skipped where the board does not keep them. UAT and PROD deployments opt in
+ * with BOARD_WRITABLE=true.
+ */
+const HOSTED_BOARD_WRITABLE = process.env.BOARD_WRITABLE === 'true';
+
+// Port used by the bundled demo app server (demo-app/server.js) in the LOCAL environment
+const LOCAL_APP_PORT = Number(process.env.LOCAL_APP_PORT) || 3000;
+
+/**
+ * Default tag taxonomy for kanban cards
+ *
+ * VOCABULARY lists the tags KanbanPage looks for on a card; tags outside it are
+ * reported as unknown. MATCH_MODE is the default comparison used by
+ * verifyTaskInColumn (exact | subset | superset, see shared/tags.js).
+ */
+export const DEFAULT_TAG_TAXONOMY = {
+    VOCABULARY: ['Feature', 'Bug', 'Design', 'High Priority'],
+    MATCH_MODE: 'exact',
+    CASE_SENSITIVE: false
+};
+
+/**
+ * Login protection policies (SECURITY.LOGIN_PROTECTION)
+ *
+ * Describe what an environment does after repeated failed logins; the
+ * brute-force driver (shared/brute-force.js) asserts it. null skips the
+ * brute-force specs for that environment.
+ *
+ * MODE         - lockout (account refused, even with the right password) |
+ *                throttle (attempts refused as rate limited) | captcha (challenge shown)
+ * MAX_ATTEMPTS - failed attempts allowed before the protection starts
+ * LOCKOUT_MS   - how long lockout/throttling lasts (null when it does not expire)
+ * MESSAGE      - text the rejection message must contain
+ * ACCOUNT      - account the driver attacks; keep it separate from the role users
+ *                so a lockout does not sign other tests out
+ */
+export const LOGIN_PROTECTION_MODES = ['lockout', 'throttle', 'captcha'];
+
+/**
+ * Security header and session cookie policies (SECURITY.HEADERS / SECURITY.COOKIES)
+ *
+ * Checked by shared/security-headers.js on the login page, dashboard and boards.
+ * A header check is true (must be present), a RegExp/string the value must
+ * match, or false (reported only). FRAME_OPTIONS also passes when the CSP's
+ * frame-ancestors restricts framing ('none', 'self' or explicit origins,
+ * not * or https://*).
+ * Cookies whose name matches NAME count as session cookies and must carry
+ * the listed flags.
+ */
+export const DEFAULT_SECURITY_HEADERS = {
+    CONTENT_SECURITY_POLICY: /default-src/,
+    STRICT_TRANSPORT_SECURITY: /max-age=[1-9]\d*/,
+    FRAME_OPTIONS: true,
+    CONTENT_TYPE_OPTIONS: 'nosniff',
+    REFERRER_POLICY: /^(no-referrer|same-origin|strict-origin|strict-origin-when-cross-origin)$/i,
+    PERMISSIONS_POLICY: true
+};
+
+export const DEFAULT_SESSION_COOKIE_POLICY = {
+    NAME: /session|auth|token|sid|jwt/i,
+    HTTP_ONLY: true,
+    SECURE: true,
+    SAME_SITE: ['Strict', 'Lax']
+};
+
+/**
+ * Sensitive data leak policy (SECURITY.LEAKS)
+ *
+ * shared/leak-scanner.js watches wrapper tests that set scanLeaks for the configured
+ * passwords (anywhere), the session tokens the app sends (in console output
+ * and URLs) and the PATTERNS below, each only in its LOCATIONS. Findings are
+ * annotated on the test and fail tests tagged with one of FAIL_TAGS.
+ */
+export const LEAK_LOCATIONS = ['storage', 'cookie', 'console', 'url', 'response'];
+
+export const DEFAULT_LEAK_POLICY = {
+    FAIL_TAGS: ['@security'],
+    PATTERNS: [
+        { NAME: 'JWT', PATTERN: /eyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]+/, LOCATIONS: ['console', 'url'] },
+        { NAME: 'token in query string', PATTERN: /[?&](access_token|id_token|token|api_?key|session_?id)=[^&#\s]+/i, LOCATIONS: ['console', 'url'] },
+        { NAME: 'bearer credential', PATTERN: /\bbearer\s+[\w~+/.-]{16,}/i, LOCATIONS: ['storage', 'cookie', 'console', 'url'] },
+        { NAME: 'private key', PATTERN: /-----BEGIN (RSA |EC |OPENSSH )?PRIVATE KEY-----/, LOCATIONS: LEAK_LOCATIONS },
+        { NAME: 'AWS access key', PATTERN: /\bAKIA[0-9A-Z]{16}\b/, LOCATIONS: LEAK_LOCATIONS }
+    ]
+};
+
 // Environment Configuration for Technical Evaluation
 export const ENVIRONMENT_CONFIG = {
     DEMO: {
@@ -79,11 +218,44 @@ export const ENVIRONMENT_CONFIG = {
             HEADLESS: true,
             VIEWPORT: { width: 1280, height: 720 }
         },
+        AUTH: {
+            STATE_MAX_AGE_MS: AUTH_STATE_MAX_AGE_MS,
+            LOGIN_STRATEGY,
+            // The hosted demo has no login API, so programmatic login falls back to the form
+            API_LOGIN: null,
+            // Not confirmed that the hosted form reports empty fields as a validation error
+            FORM_VALIDATION: false
+        },
         CREDENTIALS: {
-            DEMO_USER: {
-                USERNAME: process.env.username || 'admin',
-                PASSWORD: process.env.password || 'password123'
+            USERS: {
+                admin: {
+                    USERNAME: process.env.username || 'admin',
+                    PASSWORD: process.env.password || 'password123'
+                },
+                ...configuredRoleUsers()
             }
+        },
+        BOARD: {
+            // Alternative column names -> column name as rendered on the board
+            COLUMN_ALIASES: {},
+            TAGS: DEFAULT_TAG_TAXONOMY,
+            // The hosted demo does not keep created, edited or moved cards, so the board-writing specs are skipped
+            WRITABLE: false
+        },
+        SECURITY: {
+            // The hosted demo publishes no lockout policy, so brute-force specs are skipped
+            LOGIN_PROTECTION: null,
+            // Netlify only adds HSTS to the hosted demo; the other headers are reported, not required
+            HEADERS: {
+                ...DEFAULT_SECURITY_HEADERS,
+                CONTENT_SECURITY_POLICY: false,
+                FRAME_OPTIONS: false,
+                CONTENT_TYPE_OPTIONS: false,
+                REFERRER_POLICY: false,
+                PERMISSIONS_POLICY: false
+            },
+            COOKIES: DEFAULT_SESSION_COOKIE_POLICY,
+            LEAKS: DEFAULT_LEAK_POLICY
         }
     },
     UAT: {
@@ -92,9 +264,12 @@ export const ENVIRONMENT_CONFIG = {
             ASANA_DEMO: process.env.ASANA_DEMO_URL_UAT || 'https://uat.animated-gingersnap-8cf7f2.netlify.app/'
         },
         CREDENTIALS: {
-            DEMO_USER: {
-                USERNAME: process.env.username || 'admin', // sensitive data stored in .env file. this is just for demo purposes.
-                PASSWORD: process.env.password || 'password123'
+            USERS: {
+                admin: {
+                    USERNAME: process.env.username || 'admin', // sensitive data stored in .env file. this is just for demo purposes.
+                    PASSWORD: process.env.password || 'password123'
+                },
+                ...configuredRoleUsers()
             }
         },
         TIMEOUTS: {
@@ -106,6 +281,27 @@ export const ENVIRONMENT_CONFIG = {
         BROWSER: {
             HEADLESS: process.env.HEADLESS_UAT === 'false' ? false : true,
             VIEWPORT: { width: 1280, height: 720 }
+        },
+        AUTH: {
+            STATE_MAX_AGE_MS: AUTH_STATE_MAX_AGE_MS,
+            LOGIN_STRATEGY,
+            API_LOGIN: null,
+            FORM_VALIDATION: false
+        },
+        BOARD: {
+            COLUMN_ALIASES: {
+                'Code Review': 'Review',
+                'In Review': 'Review',
+                'On Hold': 'Blocked'
+            },
+            TAGS: DEFAULT_TAG_TAXONOMY,
+            WRITABLE: HOSTED_BOARD_WRITABLE
+        },
+        SECURITY: {
+            LOGIN_PROTECTION: null,
+            HEADERS: DEFAULT_SECURITY_HEADERS,
+            COOKIES: DEFAULT_SESSION_COOKIE_POLICY,
+            LEAKS: DEFAULT_LEAK_POLICY
         }
     },
     PROD: {
@@ -114,9 +310,12 @@ export const ENVIRONMENT_CONFIG = {
             ASANA_DEMO: process.env.ASANA_DEMO_URL_PROD || 'https://www.animated-gingersnap-8cf7f2.netlify.app/'
         },
         CREDENTIALS: {
-            DEMO_USER: {
-                USERNAME: process.env.username || 'admin',
-                PASSWORD: process.env.password || 'password123'
+            USERS: {
+                admin: {
+                    USERNAME: process.env.username || 'admin',
+                    PASSWORD: process.env.password || 'password123'
+                },
+                ...configuredRoleUsers()
             }
         },
         TIMEOUTS: {
@@ -128,6 +327,112 @@ export const ENVIRONMENT_CONFIG = {
         BROWSER: {
             HEADLESS: process.env.HEADLESS_PROD === 'false' ? false : true,
             VIEWPORT: { width: 1280, height: 720 }
+        },
+        AUTH: {
+            STATE_MAX_AGE_MS: AUTH_STATE_MAX_AGE_MS,
+            LOGIN_STRATEGY,
+            API_LOGIN: null,
+            FORM_VALIDATION: false
+        },
+        BOARD: {
+            COLUMN_ALIASES: {},
+            TAGS: DEFAULT_TAG_TAXONOMY,
+            WRITABLE: HOSTED_BOARD_WRITABLE
+        },
+        SECURITY: {
+            LOGIN_PROTECTION: null,
+            HEADERS: DEFAULT_SECURITY_HEADERS,
+            COOKIES: DEFAULT_SESSION_COOKIE_POLICY,
+            LEAKS: DEFAULT_LEAK_POLICY
+        }
+    },
+    // Offline stand-in for the Netlify demo, served by demo-app/server.js.
+    // Playwright starts the server through the webServer entry in playwright.config.js.
+    LOCAL: {
+        NAME: 'LOCAL',
+        URLS: {
+            ASANA_DEMO: process.env.LOCAL_APP_URL || `http://127.0.0.1:${LOCAL_APP_PORT}/`
+        },
+        CREDENTIALS: {
+            USERS: {
+                admin: {
+                    USERNAME: process.env.username || 'admin',
+                    PASSWORD: process.env.password || 'password123'
+                },
+                member: {
+                    USERNAME: process.env.member_username || 'member',
+                    PASSWORD: process.env.member_password || 'member123'
+                },
+                'read-only': {
+                    USERNAME: process.env.readonly_username || 'viewer',
+                    PASSWORD: process.env.readonly_password || 'viewer123'
+                }
+            }
+        },
+        TIMEOUTS: {
+            DEFAULT: 10000,
+            LOGIN: 15000,
+            NAVIGATION: 8000,
+            KANBAN_LOAD: 10000
+        },
+        BROWSER: {
+            HEADLESS: true,
+            VIEWPORT: { width: 1280, height: 720 }
+        },
+        AUTH: {
+            STATE_MAX_AGE_MS: AUTH_STATE_MAX_AGE_MS,
+            LOGIN_STRATEGY,
+            API_LOGIN: {
+                ENDPOINT: '/api/login',
+                // localStorage key -> field of the login response stored under it
+                STORAGE: {
+                    auth_token: 'token',
+                    auth_user: 'user'
+                }
+            },
+            // demo-app/server.js answers empty fields with "Username and password are required"
+            FORM_VALIDATION: true
+        },
+        BOARD: {
+            COLUMN_ALIASES: {
+                'In Review': 'Review',
+                'On Hold': 'Blocked'
+            },
+            TAGS: DEFAULT_TAG_TAXONOMY,
+            // The stand-in client keeps board changes in sessionStorage for the browser session
+            WRITABLE: true
+        },
+        SECURITY: {
+            // Enforced by demo-app/server.js; a short lockout keeps the brute-force spec quick
+            LOGIN_PROTECTION: {
+                MODE: 'lockout',
+                MAX_ATTEMPTS: 5,
+                LOCKOUT_MS: 5000,
+                MESSAGE: 'Account locked',
+                ACCOUNT: {
+                    USERNAME: 'lockout-target',
+                    PASSWORD: 'lockout123'
+                }
+            },
+            // The stand-in is served over plain http, so HSTS and Secure cookies cannot apply
+            HEADERS: {
+                ...DEFAULT_SECURITY_HEADERS,
+                STRICT_TRANSPORT_SECURITY: false
+            },
+            COOKIES: {
+                ...DEFAULT_SESSION_COOKIE_POLICY,
+                SECURE: false
+            },
+            LEAKS: DEFAULT_LEAK_POLICY
+        },
+        // Client-side routes; DashboardPage checks the URL against PROJECT after navigation
+        ROUTES: {
+            PROJECT: '/projects/{slug}'
+        },
+        WEB_SERVER: {
+            COMMAND: 'node demo-app/server.js',
+            PORT: LOCAL_APP_PORT,
+            TIMEOUT: 30000
         }
     }
 };
@@ -171,6 +476,28 @@ export function getTestEnv() {
     return getCurrentEnvironment();
 }
 
+/**
+ * Users configured for the current environment, keyed by role
+ */
+export function getRoleUsers() {
+    return getTestEnv().CREDENTIALS.USERS;
+}
+
+export function getUserForRole(role = DEFAULT_ROLE) {
+    const users = getRoleUsers();
+    if (!users[role]) {
+        throw new Error(`No user configured for role "${role}" in ${getTestEnv().NAME}. Configured roles: ${Object.keys(users).join('|')}`);
+    }
+    return users[role];
+}
+
+/**
+ * Storage state file written by auth.setup.js for a role
+ */
+export function getStorageStatePath(role = DEFAULT_ROLE) {
+    return path.resolve(__dirname, '..', `auth-${role}.json`);
+}
+
 export function logWithEnv(message, level = 'info') {
     const env = getTestEnv();
     debugLog(`[${env.NAME}] ${message}`, level);
@@ -0,0 +1,206 @@
+/**
+ * Sensitive Data Leak Scanner
+ *
+ * Records what a page exposes while a test runs and looks for secrets in it:
+ * - console messages and request URLs
+ * - document, xhr and fetch response bodies (script and style bundles are code
+ *   shipped to everyone and are not scanned)
+ * - cookies, localStorage and sessionStorage at the end of the test
+ *
+ * Secrets are the configured passwords (CREDENTIALS.PASSWORD and every role
+ * user), the session tokens the app sends in Authorization headers or keeps in
+ * auth storage, and the SECURITY.LEAKS patterns. A password is a leak wherever
+ * it shows up; a session token only in console output or a URL, since storage
+ * and the login response are where it is meant to live. Findings quote the
+ * surrounding text with the secret redacted.
+ *
+ * The leakScanner fixture in shared/test-wrappers.js runs a scanner for wrapper
+ * tests that set scanLeaks; see SECURITY.LEAKS in shared/env.js for the failure policy.
+ */
+
+import { AUTH_STORAGE_KEY } from '../pages/DashboardPage.js';
+import { CREDENTIALS, CURRENT_ENV, getRoleUsers } from './env.js';
+import { parseToken } from './session-tampering.js';
+
+const SCANNED_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
+// Where a leaked session token counts as a finding
+const TOKEN_LOCATIONS = ['console', 'url'];
+
+// Shorter values ("x", "1234") would match unrelated text
+const MIN_SECRET_LENGTH = 6;
+
+// Characters of context kept on each side of a match
+const EXCERPT_CONTEXT = 30;
+
+function configuredPasswords() {
+    const protection = CURRENT_ENV.SECURITY.LOGIN_PROTECTION;
+    const passwords = [
+        CREDENTIALS.PASSWORD,
+        ...Object.values(getRoleUsers()).map(user => user.PASSWORD),
+        protection && protection.ACCOUNT ? protection.ACCOUNT.PASSWORD : null
+    ];
+    return [...new Set(passwords.filter(password => password && password.length >= MIN_SECRET_LENGTH))];
+}
+
+function excerpt(text, index, length, label) {
+    const start = Math.max(0, index - EXCERPT_CONTEXT);
+    const end = Math.min(text.length, index + length + EXCERPT_CONTEXT);
+    return `${start > 0 ? '…' : ''}${text.slice(start, index)}[${label}]${text.slice(index + length, end)}${end < text.length ? '…' : ''}`
+        .replace(/\s+/g, ' ');
+}
+
+export class LeakScanner {
+    /**
+     * @param {Page} page - Playwright page instance
+     * @param {Object} policy - SECURITY.LEAKS policy ({ FAIL_TAGS, PATTERNS })
+     */
+    constructor(page, policy = CURRENT_ENV.SECURITY.LEAKS) {
+        this.page = page;
+        this.policy = policy;
+        this.passwords = configuredPasswords();
+        this.tokens = new Set();
+        this.observations = [];
+        this.pendingBodies = [];
+        this.onConsole = this.onConsole.bind(this);
+        this.onRequest = this.onRequest.bind(this);
+        this.onResponse = this.onResponse.bind(this);
+    }
+
+    /**
+     * Creates a scanner and starts recording; call before the first navigation
+     */
+    static attach(page, policy) {
+        const scanner = new LeakScanner(page, policy);
+        page.on('console', scanner.onConsole);
+        page.on('request', scanner.onRequest);
+        page.on('response', scanner.onResponse);
+        return scanner;
+    }
+
+    detach() {
+        this.page.off('console', this.onConsole);
+        this.page.off('request', this.onRequest);
+        this.page.off('response', this.onResponse);
+    }
+
+    observe(location, source, text) {
+        if (text) this.observations.push({ location, source, text });
+    }
+
+    onConsole(message) {
+        this.observe('console', `console.${message.type()}`, message.text());
+    }
+
+    onRequest(request) {
+        this.observe('url', `${request.method()} ${request.resourceType()}`, request.url());
+
+        const authorization = request.headers().authorization || '';
+        const bearer = authorization.match(/^bearer\s+(\S+)/i);
+        if (bearer && bearer[1].length >= MIN_SECRET_LENGTH) {
+            this.tokens.add(bearer[1]);
+        }
+    }
+
+    onResponse(response) {
+        if (!SCANNED_RESOURCE_TYPES.includes(response.request().resourceType())) {
+            return;
+        }
+        this.pendingBodies.push(response.text()
+            .then(body => this.observe('response', `${response.status()} ${response.url()}`, body))
+            .catch(() => {}));
+    }
+
+    /**
+     * Records cookies and web storage as they are now; session tokens found there are remembered
+     */
+    async observeStorage() {
+        const cookies = await this.page.context().cookies().catch(() => []);
+        for (const cookie of cookies) {
+            this.observe('cookie', `cookie ${cookie.name}`, `${cookie.name}=${cookie.value}`);
+            if (AUTH_STORAGE_KEY.test(cookie.name) && parseToken(cookie.value)) this.tokens.add(cookie.value);
+        }
+
+        const storage = await this.page.evaluate(() => ['localStorage', 'sessionStorage']
+            .flatMap(area => Object.entries(window[area]).map(([name, value]) => ({ area, name, value }))))
+            .catch(() => []); // Page already closed
+        for (const { area, name, value } of storage) {
+            this.observe('storage', `${area} ${name}`, `${name}=${value}`);
+            if (AUTH_STORAGE_KEY.test(name) && parseToken(value)) this.tokens.add(value);
+        }
+    }
+
+    /**
+     * Secrets to look for: { type, locations, find(text) -> {index, length} | null }
+     */
+    getDetectors() {
+        const literal = (type, value, locations) => ({
+            type,
+            locations,
+            find: (text) => {
+                const index = text.indexOf(value);
+                return index === -1 ? null : { index, length: value.length };
+            }
+        });
+
+        return [
+            ...this.passwords.map(password => literal('password', password, null)),
+            ...[...this.tokens].map(token => literal('session token', token, TOKEN_LOCATIONS)),
+            ...this.policy.PATTERNS.map(({ NAME, PATTERN, LOCATIONS }) => ({
+                type: NAME,
+                locations: LOCATIONS,
+                find: (text) => {
+                    const match = text.match(PATTERN);
+                    return match ? { index: match.index, length: match[0].length } : null;
+                }
+            }))
+        ];
+    }
+
+    /**
+     * Stops recording, reads storage and scans everything seen during the test
+     *
+     * @returns {Promise<Array<{type: string, location: string, source: string, excerpt: string}>>}
+     *          one finding per secret type and place, with the secret redacted
+     */
+    async finish() {
+        this.detach();
+        await Promise.all(this.pendingBodies);
+        await this.observeStorage();
+
+        const findings = new Map();
+        for (const detector of this.getDetectors()) {
+            for (const { location, source, text } of this.observations) {
+                if (detector.locations && !detector.locations.includes(location)) continue;
+
+                const match = detector.find(text);
+                const key = `${detector.type}|${location}|${source}`;
+                if (match && !findings.has(key)) {
+                    findings.set(key, {
+                        type: detector.type,
+                        location,
+                        source,
+                        excerpt: excerpt(text, match.index, match.length, `REDACTED ${detector.type}`)
+                    });
+                }
+            }
+        }
+        return [...findings.values()];
+    }
+
+    /**
+     * Whether findings should fail a test with these tags
+     */
+    failsTest(tags) {
+        return this.policy.FAIL_TAGS.some(tag => tags.includes(tag));
+    }
+}
+
+/**
+ * One line per finding, e.g. 'password in console (console.log): "…login [REDACTED password] ok"'
+ */
+export function describeFindings(findings) {
+    return findings.map(({ type, location, source, excerpt: text }) => `${type} in ${location} (${source}): "${text}"`);
+}
+
+export default LeakScanner;
@@ -0,0 +1,210 @@
+/**
+ * Custom Expect Matchers
+ *
+ * Board-level assertions for KanbanPage. Import `expect` from this module
+ * instead of '@playwright/test' to use them:
+ *
+ *   import { expect } from '../../shared/matchers.js';
+ *   await expect(kanbanPage).toHaveTaskInColumn('Fix navigation bug', 'To Do');
+ *   await expect(kanbanPage).toMatchBoardSnapshot('web-application');
+ *
+ * Task and column matchers re-read the board until they pass or the expect
+ * timeout runs out, and print the board as last seen when they fail.
+ */
+
+import { expect as baseExpect, test } from '@playwright/test';
+import {
+    diffBoards,
+    getBoardSnapshotPath,
+    readBoardSnapshot,
+    serializeBoard,
+    shouldUpdateBoardSnapshots,
+    writeBoardSnapshot
+} from './board-snapshot.js';
+import { debugLog } from './debug.js';
+import { compareTags, describeTagDiff } from './tags.js';
+
+const DEFAULT_POLL_INTERVAL = 250;
+
+// Renders a parsed board for failure messages, one line per column
+function formatBoard(board) {
+    if (!board) {
+        return '  (board could not be read)';
+    }
+    return board.columns.map(column => {
+        const cards = column.cards.map(card =>
+            card.tags.length > 0 ? `${card.title} [${card.tags.join(', ')}]` : card.title);
+        return `  ${column.name} (${column.cards.length}): ${cards.length > 0 ? cards.join(' | ') : '(empty)'}`;
+    }).join('\n');
+}
+
+/**
+ * Re-reads the board until check() reports the wanted outcome or the timeout expires
+ *
+ * check(board) returns { pass, detail }. With .not the wanted outcome is pass === false.
+ * Read errors (e.g. mid-navigation) are retried like a failed check.
+ */
+async function pollBoard(kanbanPage, check, { timeout, isNot }) {
+    const deadline = Date.now() + timeout;
+    let board = null;
+    let result = { pass: false, detail: 'Board was never read' };
+
+    while (true) {
+        try {
+            board = await kanbanPage.parseBoard();
+            result = check(board);
+        } catch (error) {
+            result = { pass: false, detail: `Board could not be read: ${error.message}` };
+        }
+
+        if (result.pass !== isNot || Date.now() >= deadline) {
+            return { ...result, board };
+        }
+        await kanbanPage.page.waitForTimeout(DEFAULT_POLL_INTERVAL);
+    }
+}
+
+// Builds the matcher result with the board state appended to the message
+function boardMatcherResult(matcher, assertionName, { pass, detail, board }, timeout, expectation) {
+    return {
+        pass,
+        name: assertionName,
+        message: () => [
+            matcher.utils.matcherHint(assertionName, 'kanbanPage', undefined, { isNot: matcher.isNot }),
+            '',
+            `Expected: ${matcher.isNot ? 'not ' : ''}${expectation}`,
+            `Received: ${detail}`,
+            `Timeout:  ${timeout}ms`,
+            '',
+            'Board state:',
+            formatBoard(board)
+        ].join('\n')
+    };
+}
+
+export const expect = baseExpect.extend({
+    /**
+     * Passes when the task is in the given column (column names and aliases as in KanbanPage)
+     */
+    async toHaveTaskInColumn(kanbanPage, taskName, columnName, options = {}) {
+        const timeout = options.timeout ?? this.timeout;
+        const result = await pollBoard(kanbanPage, (board) => {
+            const location = kanbanPage.findCardInModel(board, taskName);
+            const column = kanbanPage.findColumnInModel(board, columnName);
+            if (!column) {
+                return { pass: false, detail: `column "${columnName}" is not on the board` };
+            }
+            if (!location) {
+                return { pass: false, detail: `task "${taskName}" is not on the board` };
+            }
+            return {
+                pass: location.column === column.name,
+                detail: `task "${taskName}" is in "${location.column}" at position ${location.card.position}`
+            };
+        }, { timeout, isNot: this.isNot });
+
+        return boardMatcherResult(this, 'toHaveTaskInColumn', result, timeout,
+            `task "${taskName}" in column "${columnName}"`);
+    },
+
+    /**
+     * Passes when the task's tags match (see shared/tags.js for modes)
+     *
+     * @param {Object} options
+     * @param {string} options.mode - exact | subset | superset (defaults to the page's tag taxonomy)
+     */
+    async toHaveTaskWithTags(kanbanPage, taskName, expectedTags, options = {}) {
+        const timeout = options.timeout ?? this.timeout;
+        const taxonomy = kanbanPage.tagTaxonomy;
+        const mode = options.mode || taxonomy.MATCH_MODE;
+        const result = await pollBoard(kanbanPage, (board) => {
+            const location = kanbanPage.findCardInModel(board, taskName);
+            if (!location) {
+                return { pass: false, detail: `task "${taskName}" is not on the board` };
+            }
+            const diff = compareTags(location.card.tags, expectedTags, {
+                mode,
+                caseSensitive: taxonomy.CASE_SENSITIVE,
+                vocabulary: taxonomy.VOCABULARY
+            });
+            return {
+                pass: diff.match,
+                detail: `tags [${location.card.tags.join(', ')}] (${describeTagDiff(diff)})`
+            };
+        }, { timeout, isNot: this.isNot });
+
+        return boardMatcherResult(this, 'toHaveTaskWithTags', result, timeout,
+            `task "${taskName}" with tags [${expectedTags.join(', ')}] (${mode})`);
+    },
+
+    /**
+     * Passes when the column holds exactly the given number of cards
+     */
+    async toHaveColumnCount(kanbanPage, columnName, expectedCount, options = {}) {
+        const timeout = options.timeout ?? this.timeout;
+        const result = await pollBoard(kanbanPage, (board) => {
+            const column = kanbanPage.findColumnInModel(board, columnName);
+            if (!column) {
+                return { pass: false, detail: `column "${columnName}" is not on the board` };
+            }
+            return {
+                pass: column.cards.length === expectedCount,
+                detail: `${column.cards.length} card(s) in "${column.name}"`
+            };
+        }, { timeout, isNot: this.isNot });
+
+        return boardMatcherResult(this, 'toHaveColumnCount', result, timeout,
+            `${expectedCount} card(s) in column "${columnName}"`);
+    },
+
+    /**
+     * Compares the whole board against the stored baseline for the current environment
+     *
+     * A missing baseline fails the assertion without writing a file; baselines
+     * are only written by --update-snapshots or UPDATE_BOARD_SNAPSHOTS=true.
+     */
+    async toMatchBoardSnapshot(kanbanPage, name) {
+        const assertionName = 'toMatchBoardSnapshot';
+        const testInfo = test.info();
+        const snapshotPath = getBoardSnapshotPath(name);
+        const actual = serializeBoard(await kanbanPage.parseBoard());
+        const baseline = readBoardSnapshot(name);
+
+        await testInfo.attach(`${name}-board-snapshot`, {
+            body: JSON.stringify(actual, null, 2),
+            contentType: 'application/json'
+        });
+
+        if (shouldUpdateBoardSnapshots(testInfo)) {
+            writeBoardSnapshot(name, actual);
+            await debugLog(`Board snapshot updated: ${snapshotPath}`, 'INFO');
+            return { pass: true, name: assertionName, message: () => `Board snapshot updated: ${snapshotPath}` };
+        }
+
+        if (!baseline) {
+            return {
+                pass: false,
+                name: assertionName,
+                message: () => `Board snapshot baseline is missing: ${snapshotPath} (create it with --update-snapshots)`
+            };
+        }
+
+        const changes = diffBoards(baseline, actual);
+        const pass = changes.length === 0;
+        if (!pass) {
+            await debugLog(`Board differs from snapshot "${name}": ${changes.join('; ')}`, 'ERROR');
+        }
+
+        return {
+            pass,
+            name: assertionName,
+            expected: baseline,
+            actual,
+            message: () => pass
+                ? `Board matches snapshot ${snapshotPath}`
+                : `Board does not match snapshot ${snapshotPath}:\n${changes.map(change => `  - ${change}`).join('\n')}`
+        };
+    }
+});
+
+export default expect;
@@ -0,0 +1,122 @@
+/**
+ * Security Payload Library
+ *
+ * Loads the fuzzing payloads in security-payloads/<category>.json and submits
+ * them through the login form. Each category file lists payloads as
+ * { id, value, description }; `repeat` builds overlong inputs from a short
+ * value so the files stay readable.
+ *
+ * A submission reports what a vulnerable form would show: a successful login,
+ * a JavaScript dialog opened by injected script, 5xx responses and the raw
+ * payload markup reflected into the page. Payloads that set the XSS canary
+ * (window.__xssCanary) are caught by the xssDetector fixture instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LoginPage } from '../pages/LoginPage.js';
+import { debugLog } from './debug.js';
+import { TEST_DATA } from './env.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PAYLOAD_ROOT = path.resolve(__dirname, '..', 'security-payloads');
+
+// Username paired with payloads typed into the password field; no such account
+// exists, so failed attempts never count towards locking out a real user
+export const FUZZ_USERNAME = 'fuzz-probe';
+
+// Only markup can turn a reflected payload into script; plain text echoed back is harmless
+const MARKUP = /[<>]/;
+
+/**
+ * Loads payloads from security-payloads/
+ *
+ * @param {Object} options
+ * @param {string[]} options.categories - Category files to load (default: all)
+ * @returns {Array<{id: string, category: string, description: string, value: string}>}
+ */
+export function loadPayloads({ categories = null } = {}) {
+    const files = fs.readdirSync(PAYLOAD_ROOT)
+        .filter(file => file.endsWith('.json'))
+        .sort();
+
+    return files.flatMap((file) => {
+        const library = JSON.parse(fs.readFileSync(path.join(PAYLOAD_ROOT, file), 'utf8'));
+        if (categories && !categories.includes(library.category)) {
+            return [];
+        }
+        return library.payloads.map(payload => ({
+            id: payload.id,
+            category: library.category,
+            description: payload.description,
+            value: payload.repeat ? payload.value.repeat(payload.repeat) : payload.value
+        }));
+    });
+}
+
+/**
+ * Shortens a payload for test titles and logs
+ */
+export function describePayload(value, maxLength = 40) {
+    const printable = JSON.stringify(value).slice(1, -1);
+    return printable.length > maxLength
+        ? `${printable.slice(0, maxLength)}… (${value.length} chars)`
+        : printable;
+}
+
+/**
+ * Submits a payload through one login field and records how the page reacted
+ *
+ * The other field gets a plausible value: the configured password next to a
+ * username payload, FUZZ_USERNAME next to a password payload.
+ *
+ * @param {Page} page - Playwright page instance (unauthenticated)
+ * @param {'username'|'password'} field - Field that receives the payload
+ * @param {{id: string, value: string}} payload - Payload from loadPayloads()
+ * @returns {Promise<{field: string, outcome: string|null, message: string|null,
+ *           dialogs: string[], serverErrors: string[], reflected: boolean}>}
+ */
+export async function submitLoginPayload(page, field, payload) {
+    const loginPage = new LoginPage(page);
+    const dialogs = [];
+    const serverErrors = [];
+
+    const onDialog = async (dialog) => {
+        dialogs.push(`${dialog.type()}: ${dialog.message()}`);
+        await dialog.dismiss().catch(() => {});
+    };
+    const onResponse = (response) => {
+        if (response.status() >= 500) {
+            serverErrors.push(`${response.status()} ${response.request().method()} ${response.url()}`);
+        }
+    };
+
+    page.on('dialog', onDialog);
+    page.on('response', onResponse);
+
+    try {
+        await loginPage.navigateToLogin();
+        const [username, password] = field === 'username'
+            ? [payload.value, TEST_DATA.LOGIN.PASSWORD]
+            : [FUZZ_USERNAME, payload.value];
+        await loginPage.login(username, password);
+
+        const { outcome, message } = await loginPage.getLoginOutcome();
+        const reflected = MARKUP.test(payload.value) && (await page.content()).includes(payload.value);
+
+        const result = { field, outcome, message, dialogs, serverErrors, reflected };
+        await debugLog(`${payload.id} in ${field}: ${outcome}, ${dialogs.length} dialog(s), ${serverErrors.length} 5xx, reflected=${reflected}`, 'INFO');
+        return result;
+    } finally {
+        page.off('dialog', onDialog);
+        page.off('response', onResponse);
+    }
+}
+
+export default {
+    FUZZ_USERNAME,
+    loadPayloads,
+    describePayload,
+    submitLoginPayload
+};
@@ -0,0 +1,198 @@
+/**
+ * Route Crawler
+ *
+ * Maps what a signed-in user can reach and replays it without a session. The
+ * crawl starts at the dashboard, opens every project board from the sidebar
+ * and follows same-origin links, recording each page URL, every GET request
+ * the app made for data (xhr/fetch) and the card titles on each board.
+ *
+ * Each route is then opened in a fresh browser context with no storage state.
+ * A protected route must end on the login form, and the card titles collected
+ * while signed in must not appear in its DOM or in any document/xhr/fetch
+ * response. Script and style bundles are not scanned: they ship to everyone
+ * and only carry code, not the signed-in user's data.
+ */
+
+import { DashboardPage } from '../pages/DashboardPage.js';
+import { KanbanPage } from '../pages/KanbanPage.js';
+import { LoginPage } from '../pages/LoginPage.js';
+import { debugLog } from './debug.js';
+import { CURRENT_ENV } from './env.js';
+
+// Response types that carry page content or API data
+const SCANNED_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
+// Shorter card titles ("QA", "UI") would match unrelated text
+const MIN_MARKER_LENGTH = 4;
+
+// Links that end the session instead of leading to a route
+const SESSION_LINK = /log ?out|sign ?out/i;
+
+function normalizeUrl(href, origin) {
+    try {
+        const url = new URL(href, origin);
+        if (url.origin !== origin || !/^https?:$/.test(url.protocol)) return null;
+        url.hash = '';
+        return url.toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Crawls everything reachable from the dashboard of a signed-in page
+ *
+ * The environment's start URL is always the first route, whatever it redirects to.
+ *
+ * @param {Page} page - Playwright page with an authenticated session
+ * @param {Object} options
+ * @param {number} options.maxRoutes - Stop following links after this many page routes (default: 50)
+ * @returns {Promise<{routes: string[], dataRoutes: string[], markers: string[]}>}
+ *          routes - page URLs; dataRoutes - GET xhr/fetch URLs; markers - card titles seen on the boards
+ */
+export async function crawlRoutes(page, { maxRoutes = 50 } = {}) {
+    const dashboardPage = new DashboardPage(page);
+    const kanbanPage = new KanbanPage(page);
+    const routes = new Set();
+    const dataRoutes = new Set();
+    const markers = new Set();
+
+    const onRequest = (request) => {
+        if (request.method() === 'GET' && ['xhr', 'fetch'].includes(request.resourceType())) {
+            dataRoutes.add(request.url());
+        }
+    };
+    page.on('request', onRequest);
+
+    try {
+        const startUrl = CURRENT_ENV.URLS.ASANA_DEMO;
+        await page.goto(startUrl);
+        await dashboardPage.waitForPageLoad();
+        const origin = new URL(page.url()).origin;
+
+        // The start URL redirects once signed in, so it would otherwise never be replayed
+        routes.add(normalizeUrl(startUrl, new URL(startUrl).origin));
+
+        const recordView = async () => {
+            routes.add(normalizeUrl(page.url(), origin));
+            const { columns } = await kanbanPage.parseBoard();
+            columns.flatMap(column => column.cards)
+                .map(card => card.title)
+                .filter(title => title.length >= MIN_MARKER_LENGTH)
+                .forEach(title => markers.add(title));
+
+            const hrefs = await page.locator('a[href]').evaluateAll(links => links
+                .map(link => ({ href: link.getAttribute('href'), text: link.textContent || '' })));
+            return hrefs
+                .filter(link => !SESSION_LINK.test(link.text) && !SESSION_LINK.test(link.href))
+                .map(link => normalizeUrl(link.href, origin))
+                .filter(Boolean);
+        };
+
+        // Dashboard, then every board in the sidebar
+        const queue = await recordView();
+        for (const { name } of await dashboardPage.listProjects()) {
+            if (await dashboardPage.navigateToProject(name)) {
+                queue.push(...await recordView());
+            } else {
+                await debugLog(`Could not open "${name}" while crawling`, 'WARN');
+            }
+        }
+
+        // Same-origin links found on those views
+        while (queue.length > 0 && routes.size < maxRoutes) {
+            const route = queue.shift();
+            if (routes.has(route)) continue;
+
+            await page.goto(route);
+            await page.waitForLoadState('networkidle');
+            routes.add(route);
+            queue.push(...await recordView());
+        }
+
+        const result = { routes: [...routes], dataRoutes: [...dataRoutes], markers: [...markers] };
+        await debugLog(`Crawled ${result.routes.length} route(s), ${result.dataRoutes.length} data request(s), ${result.markers.length} card title(s)`, 'INFO');
+        return result;
+    } finally {
+        page.off('request', onRequest);
+    }
+}
+
+function findMarkers(text, markers) {
+    return markers.filter(marker => text.includes(marker));
+}
+
+/**
+ * Opens a page route in a fresh context with no storage state
+ *
+ * @param {Browser} browser - Browser to create the context in
+ * @param {string} route - Absolute URL from crawlRoutes()
+ * @param {string[]} markers - Board content that must not be served
+ * @returns {Promise<{route: string, finalUrl: string, loginFormShown: boolean,
+ *           leakedInDom: string[], leakedInResponses: Array<{url: string, status: number, markers: string[]}>}>}
+ */
+export async function replayRoute(browser, route, markers) {
+    const context = await browser.newContext({ storageState: { cookies: [], origins: [] } });
+    const page = await context.newPage();
+    const responses = [];
+
+    page.on('response', (response) => {
+        if (SCANNED_RESOURCE_TYPES.includes(response.request().resourceType())) {
+            responses.push(response);
+        }
+    });
+
+    try {
+        await page.goto(route);
+        await page.waitForLoadState('networkidle');
+
+        const loginPage = new LoginPage(page);
+        const loginFormShown = await loginPage.usernameInput.isVisible() && await loginPage.loginButton.isVisible();
+        const leakedInDom = findMarkers(await page.content(), markers);
+
+        const leakedInResponses = [];
+        for (const response of responses) {
+            const body = await response.text().catch(() => '');
+            const found = findMarkers(body, markers);
+            if (found.length > 0) {
+                leakedInResponses.push({ url: response.url(), status: response.status(), markers: found });
+            }
+        }
+
+        const result = { route, finalUrl: page.url(), loginFormShown, leakedInDom, leakedInResponses };
+        const protectedRoute = loginFormShown && leakedInDom.length === 0 && leakedInResponses.length === 0;
+        await debugLog(`${route} -> ${result.finalUrl}: ${protectedRoute ? 'login form, nothing leaked' : 'NOT protected'}`,
+            protectedRoute ? 'SUCCESS' : 'ERROR');
+        return result;
+    } finally {
+        await context.close();
+    }
+}
+
+/**
+ * Requests a data route from a fresh context with no credentials
+ *
+ * @param {Browser} browser - Browser to create the context in
+ * @param {string} route - Absolute URL from crawlRoutes().dataRoutes
+ * @param {string[]} markers - Board content that must not be served
+ * @returns {Promise<{route: string, status: number, leaked: string[]}>}
+ */
+export async function replayDataRoute(browser, route, markers) {
+    const context = await browser.newContext({ storageState: { cookies: [], origins: [] } });
+
+    try {
+        const response = await context.request.get(route, { failOnStatusCode: false });
+        const leaked = findMarkers(await response.text(), markers);
+        await debugLog(`GET ${route} without a session: ${response.status()}${leaked.length > 0 ? `, leaked [${leaked.join(', ')}]` : ''}`,
+            leaked.length > 0 ? 'ERROR' : 'SUCCESS');
+        return { route, status: response.status(), leaked };
+    } finally {
+        await context.close();
+    }
+}
+
+export default {
+    crawlRoutes,
+    replayRoute,
+    replayDataRoute
+};
@@ -0,0 +1,174 @@
+/**
+ * Security Header and Cookie Audit
+ *
+ * Compares response headers and session cookies with the environment's
+ * SECURITY.HEADERS and SECURITY.COOKIES policies. The audit functions are
+ * pure so they can be reused on any captured response; auditPage reloads the
+ * current page to capture its document response.
+ */
+
+import { debugLog } from './debug.js';
+
+// Policy check -> response header it reads
+export const SECURITY_HEADER_CHECKS = {
+    CONTENT_SECURITY_POLICY: 'content-security-policy',
+    STRICT_TRANSPORT_SECURITY: 'strict-transport-security',
+    FRAME_OPTIONS: 'x-frame-options',
+    CONTENT_TYPE_OPTIONS: 'x-content-type-options',
+    REFERRER_POLICY: 'referrer-policy',
+    PERMISSIONS_POLICY: 'permissions-policy'
+};
+
+// X-Frame-Options values that block framing by other sites
+const FRAME_OPTIONS_VALUE = /^(deny|sameorigin)$/i;
+
+// frame-ancestors sources that let any site frame the page: * or a bare scheme (https:, data:),
+// and wildcard hosts with or without a scheme, port or path (https://*, *:443, https://*.com)
+const PERMISSIVE_FRAME_SOURCE = /^([a-z][a-z0-9+.-]*:|([a-z][a-z0-9+.-]*:\/\/)?\*(\.[a-z0-9-]+)?(:(\d+|\*))?(\/\S*)?)$/i;
+
+function matchesExpectation(value, expected) {
+    if (value === undefined || value === null) return false;
+    if (expected instanceof RegExp) return expected.test(value);
+    if (typeof expected === 'string') return value.trim().toLowerCase() === expected.toLowerCase();
+    return true;
+}
+
+/**
+ * Value of one CSP directive, e.g. getCspDirective(csp, 'frame-ancestors') -> "'none'"
+ *
+ * @returns {string|null} - null when the policy has no such directive
+ */
+export function getCspDirective(csp, directive) {
+    const entry = (csp || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.toLowerCase().split(/\s+/)[0] === directive);
+    return entry ? entry.slice(directive.length).trim() : null;
+}
+
+/**
+ * Whether a CSP frame-ancestors value limits who can frame the page
+ *
+ * 'none', 'self' and explicit origins restrict framing; a wildcard, a
+ * wildcard host (https://*) or a bare scheme anywhere in the list allows any site.
+ */
+export function isRestrictiveFrameAncestors(value) {
+    const sources = (value || '').split(/\s+/).filter(Boolean);
+    return !sources.some(source => PERMISSIVE_FRAME_SOURCE.test(source));
+}
+
+/**
+ * Checks response headers against a SECURITY.HEADERS policy
+ *
+ * @param {Object<string, string>} headers - Response headers with lower-case names (response.allHeaders())
+ * @param {Object} policy - Check name -> true | RegExp | string | false
+ * @returns {{passed: boolean, results: Array<{check: string, header: string, value: string|null,
+ *           expected: string, status: 'pass'|'fail'|'skipped', reason: string}>}}
+ */
+export function auditHeaders(headers, policy) {
+    const results = Object.entries(SECURITY_HEADER_CHECKS).map(([check, header]) => {
+        const expected = policy[check];
+        const value = headers[header] ?? null;
+        const result = (status, reason) => ({ check, header, value, expected: String(expected), status, reason });
+
+        if (!expected) {
+            return result('skipped', value === null ? 'not sent (not required)' : 'sent (not required)');
+        }
+
+        if (check === 'FRAME_OPTIONS') {
+            const frameAncestors = getCspDirective(headers[SECURITY_HEADER_CHECKS.CONTENT_SECURITY_POLICY], 'frame-ancestors');
+            if (matchesExpectation(value, expected === true ? FRAME_OPTIONS_VALUE : expected)) {
+                return result('pass', `${header}: ${value}`);
+            }
+            if (frameAncestors !== null && isRestrictiveFrameAncestors(frameAncestors)) {
+                return result('pass', `CSP frame-ancestors ${frameAncestors}`);
+            }
+            if (frameAncestors !== null) {
+                return result('fail', `CSP frame-ancestors "${frameAncestors}" allows any site` +
+                    (value === null ? ' and X-Frame-Options is not set' : ` and X-Frame-Options "${value}" does not block framing`));
+            }
+            return result('fail', value === null
+                ? 'neither X-Frame-Options nor CSP frame-ancestors is set'
+                : `X-Frame-Options "${value}" does not block framing and CSP has no frame-ancestors`);
+        }
+
+        if (value === null) {
+            return result('fail', 'missing');
+        }
+        return matchesExpectation(value, expected)
+            ? result('pass', value)
+            : result('fail', `"${value}" does not match ${expected}`);
+    });
+
+    return { passed: results.every(result => result.status !== 'fail'), results };
+}
+
+/**
+ * Checks session cookie flags against a SECURITY.COOKIES policy
+ *
+ * @param {Array<Object>} cookies - Cookies from context.cookies()
+ * @param {Object} policy - { NAME, HTTP_ONLY, SECURE, SAME_SITE }
+ * @returns {{passed: boolean, results: Array<{cookie: string, httpOnly: boolean, secure: boolean,
+ *           sameSite: string, failures: string[]}>}} - results is empty when no session cookie is set
+ */
+export function auditCookies(cookies, policy) {
+    const results = cookies
+        .filter(cookie => policy.NAME.test(cookie.name))
+        .map((cookie) => {
+            const failures = [];
+            if (policy.HTTP_ONLY && !cookie.httpOnly) failures.push('missing HttpOnly');
+            if (policy.SECURE && !cookie.secure) failures.push('missing Secure');
+            if (policy.SAME_SITE && !policy.SAME_SITE.includes(cookie.sameSite)) {
+                failures.push(`SameSite=${cookie.sameSite}, expected ${policy.SAME_SITE.join(' or ')}`);
+            }
+            return {
+                cookie: cookie.name,
+                httpOnly: cookie.httpOnly,
+                secure: cookie.secure,
+                sameSite: cookie.sameSite,
+                failures
+            };
+        });
+
+    return { passed: results.every(result => result.failures.length === 0), results };
+}
+
+/**
+ * Reloads the current page and audits the headers of its document response
+ *
+ * @param {Page} page - Playwright page showing the page to audit
+ * @param {string} label - Name used in the report, e.g. "login page"
+ * @param {Object} policy - SECURITY.HEADERS policy
+ * @returns {Promise<{label: string, url: string, status: number, passed: boolean, results: Array}>}
+ */
+export async function auditPage(page, label, policy) {
+    const response = await page.reload({ waitUntil: 'networkidle' });
+    if (!response) {
+        throw new Error(`No document response when reloading ${label} (${page.url()})`);
+    }
+
+    const audit = auditHeaders(await response.allHeaders(), policy);
+    const failed = audit.results.filter(result => result.status === 'fail');
+    await debugLog(`${label}: ${failed.length === 0 ? 'all required security headers present' : failed.map(result => `${result.check} ${result.reason}`).join('; ')}`,
+        failed.length === 0 ? 'SUCCESS' : 'ERROR');
+
+    return { label, url: page.url(), status: response.status(), ...audit };
+}
+
+/**
+ * One line per failed header check, e.g. 'login page: CONTENT_TYPE_OPTIONS missing'
+ */
+export function describeHeaderFailures(audits) {
+    return audits.flatMap(audit => audit.results
+        .filter(result => result.status === 'fail')
+        .map(result => `${audit.label}: ${result.check} ${result.reason}`));
+}
+
+export default {
+    SECURITY_HEADER_CHECKS,
+    getCspDirective,
+    isRestrictiveFrameAncestors,
+    auditHeaders,
+    auditCookies,
+    auditPage,
+    describeHeaderFailures
+};
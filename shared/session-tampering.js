@@ -0,0 +1,262 @@
+/**
+ * Session Tampering
+ *
+ * Mutates a saved storage state (auth-<role>.json) the way an attacker with
+ * access to the browser would, then loads each mutated state in a fresh
+ * context to see whether the app still accepts it.
+ *
+ * Tokens are recognised by shape: a JWT (header.claims.signature) or a
+ * claims.signature pair, with base64url JSON claims. Every token found in an
+ * auth cookie or localStorage entry is:
+ * - expired (exp moved an hour into the past)
+ * - truncated to half its length
+ * - stripped of its signature
+ * - re-signed with a key the server does not know (and, for JWTs, set to alg "none")
+ * - given another user's id in its subject claims
+ * Each credential entry is also cleared on its own. Expired and swapped tokens
+ * keep their original signature, since the real key is not available; the app
+ * has to notice the claims no longer match it.
+ *
+ * Entries that only cache profile data next to a token (e.g. auth_user) are
+ * not cleared: the server reads the user from the token, so losing the cache
+ * does not end the session.
+ */
+
+import crypto from 'crypto';
+import { DashboardPage, AUTH_STORAGE_KEY } from '../pages/DashboardPage.js';
+import { KanbanPage } from '../pages/KanbanPage.js';
+import { LoginPage } from '../pages/LoginPage.js';
+import { debugLog } from './debug.js';
+import { CURRENT_ENV, getRoleUsers } from './env.js';
+
+// Key the forged signatures are made with
+const TAMPER_KEY = 'session-tampering-test-key';
+
+// Claims that name the signed-in user
+const USER_CLAIMS = ['sub', 'user', 'username', 'userId', 'uid', 'email'];
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+    try {
+        const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Splits a token into its parts
+ *
+ * @param {string} value - Cookie or storage value
+ * @returns {{header: Object|null, claims: Object, signature: string}|null} - null when the value is not a token
+ */
+export function parseToken(value) {
+    const parts = typeof value === 'string' ? value.split('.') : [];
+    if (parts.length === 3) {
+        const header = decodeSegment(parts[0]);
+        const claims = decodeSegment(parts[1]);
+        return header && header.alg && claims ? { header, claims, signature: parts[2] } : null;
+    }
+    if (parts.length === 2) {
+        const claims = decodeSegment(parts[0]);
+        return claims ? { header: null, claims, signature: parts[1] } : null;
+    }
+    return null;
+}
+
+/**
+ * Reassembles a token; a null signature signs it with TAMPER_KEY
+ */
+export function buildToken({ header, claims }, signature = null) {
+    const signingInput = [header, claims].filter(Boolean).map(encodeSegment).join('.');
+    const finalSignature = signature ?? crypto.createHmac('sha256', TAMPER_KEY).update(signingInput).digest('base64url');
+    return `${signingInput}.${finalSignature}`;
+}
+
+// Cookies and localStorage items with auth-like names, with enough context to rewrite them
+function findAuthEntries(state) {
+    const cookies = state.cookies
+        .filter(cookie => AUTH_STORAGE_KEY.test(cookie.name))
+        .map(cookie => ({ kind: 'cookie', name: cookie.name, domain: cookie.domain, value: cookie.value }));
+    const storage = state.origins.flatMap(({ origin, localStorage = [] }) => localStorage
+        .filter(item => AUTH_STORAGE_KEY.test(item.name))
+        .map(item => ({ kind: 'localStorage', name: item.name, origin, value: item.value })));
+    return [...cookies, ...storage];
+}
+
+function describeEntry(entry) {
+    return entry.kind === 'cookie' ? `cookie ${entry.name}` : `localStorage ${entry.name}`;
+}
+
+function matchesEntry(entry) {
+    return entry.kind === 'cookie'
+        ? cookie => cookie.name === entry.name && cookie.domain === entry.domain
+        : item => item.name === entry.name;
+}
+
+// Copy of the state with one entry set to a new value, or removed when value is null
+function withEntry(state, entry, value) {
+    const next = structuredClone(state);
+    if (entry.kind === 'cookie') {
+        const matches = matchesEntry(entry);
+        next.cookies = value === null
+            ? next.cookies.filter(cookie => !matches(cookie))
+            : next.cookies.map(cookie => (matches(cookie) ? { ...cookie, value } : cookie));
+        return next;
+    }
+
+    const origin = next.origins.find(item => item.origin === entry.origin);
+    const matches = matchesEntry(entry);
+    origin.localStorage = value === null
+        ? origin.localStorage.filter(item => !matches(item))
+        : origin.localStorage.map(item => (matches(item) ? { ...item, value } : item));
+    return next;
+}
+
+// Another configured user to impersonate, or a made-up one when only one is configured
+function pickOtherUser(currentUser) {
+    const other = Object.values(getRoleUsers()).find(user => user.USERNAME !== currentUser);
+    return other ? other.USERNAME : 'attacker';
+}
+
+function tokenMutations(token) {
+    const mutations = [];
+    const { claims } = token;
+
+    if (typeof claims.exp === 'number') {
+        // exp in milliseconds (> year 2001 in ms) or in JWT seconds
+        const past = claims.exp > 1e12 ? Date.now() - 3600 * 1000 : Math.floor(Date.now() / 1000) - 3600;
+        mutations.push({ id: 'expired', description: 'exp an hour in the past, original signature',
+            value: buildToken({ ...token, claims: { ...claims, exp: past } }, token.signature) });
+    }
+
+    const userClaim = USER_CLAIMS.find(claim => claims[claim] !== undefined);
+    if (userClaim) {
+        const otherUser = pickOtherUser(claims[userClaim]);
+        mutations.push({ id: 'swapped-user', description: `${userClaim} "${claims[userClaim]}" -> "${otherUser}", original signature`,
+            value: buildToken({ ...token, claims: { ...claims, [userClaim]: otherUser } }, token.signature) });
+    }
+
+    mutations.push({ id: 'unsigned', description: 'signature removed', value: buildToken(token, '') });
+    mutations.push({ id: 're-signed', description: 'signed with an unknown key', value: buildToken(token) });
+
+    if (token.header) {
+        mutations.push({ id: 'alg-none', description: 'alg "none", no signature',
+            value: buildToken({ ...token, header: { ...token.header, alg: 'none' } }, '') });
+    }
+    return mutations;
+}
+
+/**
+ * Builds every tampered variant of a storage state
+ *
+ * @param {{cookies: Array, origins: Array}} state - Storage state from readStorageState()
+ * @returns {Array<{id: string, description: string, state: Object}>} - id is "<mutation> (<entry>)"
+ */
+export function createMutations(state) {
+    const entries = findAuthEntries(state);
+    const tokens = entries.filter(entry => parseToken(entry.value));
+    const sessionCookies = entries.filter(entry => entry.kind === 'cookie' && CURRENT_ENV.SECURITY.COOKIES.NAME.test(entry.name));
+
+    // Without a recognisable token every auth-like entry may be what keeps the session
+    const credentials = tokens.length + sessionCookies.length > 0
+        ? [...new Set([...tokens, ...sessionCookies])]
+        : entries;
+
+    const mutations = [];
+    for (const entry of tokens) {
+        const token = parseToken(entry.value);
+        const variants = [
+            ...tokenMutations(token),
+            { id: 'truncated', description: `cut to ${Math.ceil(entry.value.length / 2)} of ${entry.value.length} characters`,
+                value: entry.value.slice(0, Math.ceil(entry.value.length / 2)) }
+        ];
+        variants.forEach(({ id, description, value }) => mutations.push({
+            id: `${id} (${describeEntry(entry)})`,
+            description,
+            state: withEntry(state, entry, value)
+        }));
+    }
+
+    for (const entry of credentials) {
+        mutations.push({
+            id: `cleared (${describeEntry(entry)})`,
+            description: `${describeEntry(entry)} removed, everything else kept`,
+            state: withEntry(state, entry, null)
+        });
+    }
+
+    return mutations;
+}
+
+/**
+ * Loads a storage state in a fresh context and reports what the dashboard shows
+ *
+ * @param {Browser} browser - Browser to create the context in
+ * @param {Object} state - Storage state object
+ * @returns {Promise<{accepted: boolean, loginFormShown: boolean, projects: number, cards: number, finalUrl: string}>}
+ *          accepted - projects or kanban cards were rendered
+ */
+export async function loadStorageState(browser, state) {
+    const context = await browser.newContext({ storageState: state });
+
+    try {
+        const page = await context.newPage();
+        await page.goto(CURRENT_ENV.URLS.ASANA_DEMO);
+        await page.waitForLoadState('networkidle');
+
+        const dashboardPage = new DashboardPage(page);
+        const loginPage = new LoginPage(page);
+        const projects = await dashboardPage.projectLinks.count();
+        const { columns } = await new KanbanPage(page).parseBoard();
+        const cards = columns.reduce((total, column) => total + column.cards.length, 0);
+
+        return {
+            accepted: projects > 0 || cards > 0,
+            loginFormShown: await loginPage.usernameInput.isVisible(),
+            projects,
+            cards,
+            finalUrl: page.url()
+        };
+    } finally {
+        await context.close();
+    }
+}
+
+/**
+ * Loads every tampered variant of a storage state and checks it is turned away
+ *
+ * @param {Browser} browser - Browser to create the contexts in
+ * @param {Object} state - Untampered storage state; it must sign in, or the results mean nothing
+ * @returns {Promise<{baseline: Object, results: Array<{id: string, description: string, rejected: boolean,
+ *           loginFormShown: boolean, projects: number, cards: number, finalUrl: string}>}>}
+ */
+export async function runTamperingChecks(browser, state) {
+    const baseline = await loadStorageState(browser, state);
+    if (!baseline.accepted) {
+        throw new Error(`Untampered storage state does not sign in (${baseline.finalUrl}); refresh it with auth.setup.js`);
+    }
+
+    const results = [];
+    for (const { id, description, state: tampered } of createMutations(state)) {
+        const outcome = await loadStorageState(browser, tampered);
+        const { accepted, ...rest } = outcome;
+        results.push({ id, description, rejected: !accepted, ...rest });
+        await debugLog(`${id}: ${accepted ? `ACCEPTED (${outcome.projects} project(s), ${outcome.cards} card(s))` : 'rejected'}`,
+            accepted ? 'ERROR' : 'SUCCESS');
+    }
+
+    return { baseline, results };
+}
+
+export default {
+    parseToken,
+    buildToken,
+    createMutations,
+    loadStorageState,
+    runTamperingChecks
+};
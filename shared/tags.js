@@ -0,0 +1,69 @@
+/**
+ * Tag Comparison Utilities
+ *
+ * Compares the tags rendered on a kanban card with the tags a scenario
+ * expects. Tags are compared as whole names (never by substring), so a card
+ * tagged "High Priority" does not satisfy an expectation of "Priority".
+ *
+ * Comparison modes (read as "the expected tags are ... of the card's tags"):
+ * - exact:    same set of tags, nothing missing and nothing extra
+ * - subset:   every expected tag is on the card; extra card tags are allowed
+ * - superset: every card tag is expected; expected tags may be missing from the card
+ */
+
+export const TAG_MATCH_MODES = ['exact', 'subset', 'superset'];
+
+/**
+ * Compares actual card tags with expected tags
+ *
+ * @param {string[]} actualTags - Tags rendered on the card
+ * @param {string[]} expectedTags - Tags the scenario expects
+ * @param {Object} options
+ * @param {string} options.mode - One of TAG_MATCH_MODES (default: 'exact')
+ * @param {boolean} options.caseSensitive - Compare tag names case-sensitively (default: false)
+ * @param {string[]} options.vocabulary - Known tags; card tags outside it are reported as unknown
+ * @returns {{match: boolean, mode: string, missing: string[], unexpected: string[], unknown: string[]}}
+ *
+ * @example
+ * compareTags(['Feature', 'High Priority'], ['Priority'], { mode: 'subset' });
+ * // => { match: false, missing: ['Priority'], unexpected: ['Feature', 'High Priority'], ... }
+ */
+export function compareTags(actualTags = [], expectedTags = [], { mode = 'exact', caseSensitive = false, vocabulary = [] } = {}) {
+    if (!TAG_MATCH_MODES.includes(mode)) {
+        throw new Error(`Unknown tag match mode: ${mode}. Use: ${TAG_MATCH_MODES.join('|')}`);
+    }
+
+    const key = (tag) => (caseSensitive ? tag.trim() : tag.trim().toLowerCase());
+    const actualKeys = new Set(actualTags.map(key));
+    const expectedKeys = new Set(expectedTags.map(key));
+    const vocabularyKeys = new Set(vocabulary.map(key));
+
+    const missing = expectedTags.filter(tag => !actualKeys.has(key(tag)));
+    const unexpected = actualTags.filter(tag => !expectedKeys.has(key(tag)));
+    const unknown = vocabulary.length > 0 ? actualTags.filter(tag => !vocabularyKeys.has(key(tag))) : [];
+
+    const match = mode === 'exact'
+        ? missing.length === 0 && unexpected.length === 0
+        : mode === 'subset'
+            ? missing.length === 0
+            : unexpected.length === 0;
+
+    return { match, mode, missing, unexpected, unknown };
+}
+
+/**
+ * Formats a tag comparison for logs and assertion messages
+ */
+export function describeTagDiff(diff) {
+    const parts = [`mode: ${diff.mode}`];
+    if (diff.missing.length > 0) parts.push(`missing: [${diff.missing.join(', ')}]`);
+    if (diff.unexpected.length > 0) parts.push(`unexpected: [${diff.unexpected.join(', ')}]`);
+    if (diff.unknown.length > 0) parts.push(`not in vocabulary: [${diff.unknown.join(', ')}]`);
+    return parts.join(', ');
+}
+
+export default {
+    TAG_MATCH_MODES,
+    compareTags,
+    describeTagDiff
+};
@@ -1,5 +1,83 @@
 // Enhanced test wrapper system with support for multiple test types
-import { test as base } from '@playwright/test';
+import { test as playwrightTest } from '@playwright/test';
+import { debugLog } from './debug.js';
+import { getStorageStatePath } from './env.js';
+import { describeFindings, LeakScanner } from './leak-scanner.js';
+import { XssDetector } from './xss-detector.js';
+
+/**
+ * Base test with `role`, `detectXss` and `scanLeaks` options
+ *
+ * `test.use({ role: 'member' })` signs the test in with the storage state
+ * auth.setup.js saved for that role (auth-<role>.json). Without a role the
+ * project's own storageState applies (none for unauthenticated-tests).
+ *
+ * `test.use({ detectXss: true })` runs the test with an XSS detector on its
+ * page (shared/xss-detector.js); a dialog or canary hit fails the test with
+ * the payload and the sink. It is off by default because any dialog counts,
+ * including the app's own confirm() prompts.
+ *
+ * `test.use({ scanLeaks: true })` runs a leak scanner (shared/leak-scanner.js)
+ * that watches the page for passwords, session tokens and secret patterns.
+ * Findings are added as `leak` annotations; tests tagged with one of
+ * SECURITY.LEAKS.FAIL_TAGS (@security by default) fail on them. It is off by
+ * default because it reads every document, xhr and fetch body.
+ */
+export const test = playwrightTest.extend({
+    role: [null, { option: true }],
+    detectXss: [false, { option: true }],
+    scanLeaks: [false, { option: true }],
+    storageState: async ({ role, storageState }, use) => {
+        await use(role ? getStorageStatePath(role) : storageState);
+    },
+    xssDetector: [async ({ page, detectXss }, use, testInfo) => {
+        if (!detectXss) {
+            await use(null);
+            return;
+        }
+
+        const detector = await XssDetector.attach(page);
+        await use(detector);
+        detector.detach();
+
+        const triggers = detector.getTriggers();
+        if (triggers.length > 0) {
+            await testInfo.attach('xss-triggers', {
+                body: JSON.stringify({ triggers, sinkWrites: detector.sinkWrites }, null, 2),
+                contentType: 'application/json'
+            });
+            throw new Error(`XSS detected during the test:\n${detector.describeTriggers().join('\n')}`);
+        }
+    }, { auto: true }],
+    leakScanner: [async ({ page, scanLeaks }, use, testInfo) => {
+        if (!scanLeaks) {
+            await use(null);
+            return;
+        }
+
+        const scanner = LeakScanner.attach(page);
+        await use(scanner);
+
+        const findings = await scanner.finish();
+        if (findings.length === 0) {
+            return;
+        }
+
+        const descriptions = describeFindings(findings);
+        descriptions.forEach(description => testInfo.annotations.push({ type: 'leak', description }));
+        await testInfo.attach('leak-findings', {
+            body: JSON.stringify(findings, null, 2),
+            contentType: 'application/json'
+        });
+
+        if (scanner.failsTest(testInfo.tags)) {
+            throw new Error(`Sensitive data leaked during the test:\n${descriptions.join('\n')}`);
+        }
+        await debugLog(`Sensitive data leaked (not failing, no ${scanner.policy.FAIL_TAGS.join('/')} tag):\n${descriptions.join('\n')}`, 'WARN');
+    }, { auto: true }]
+});
+
+const base = test;
 
 function extractTagsToAnnotations(testName, testInfo, additionalMetadata = {}) {
     const tags = testName.match(/@\w+/g) || [];
@@ -0,0 +1,222 @@
+/**
+ * Web Vitals Collector
+ *
+ * Reads page performance from the browser instead of timing Playwright calls,
+ * so waits such as networkidle and test overhead stay out of the numbers:
+ * - LCP, CLS, FCP, INP and TBT from PerformanceObserver (largest-contentful-paint,
+ *   layout-shift, paint, event/first-input and longtask entries)
+ * - TTFB and the document's navigation timing
+ * - Chromium's own counters (script, layout and task durations, heap, DOM
+ *   nodes) through the CDP Performance domain; null on other browsers
+ *
+ * All times are milliseconds from the start of the document's navigation.
+ * Client-side route changes keep the same document, so measureInteraction()
+ * times them from the click to the last data response or DOM change.
+ */
+
+import { debugLog } from './debug.js';
+
+const STORE = '__webVitals';
+
+// Main-thread time beyond this per long task counts towards TBT
+const LONG_TASK_BLOCKING_MS = 50;
+
+/**
+ * Runs in the page before any app script (page.addInitScript); must stay self-contained
+ */
+function observeVitals({ store }) {
+    const vitals = window[store] = {
+        lcp: null,
+        cls: 0,
+        fcp: null,
+        interactionDurations: [],
+        longTasks: [],
+        interactions: [],
+        lastMutation: null
+    };
+
+    const observe = (type, callback, options = {}) => {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback))
+                .observe({ type, buffered: true, ...options });
+        } catch (error) {
+            // Entry type not supported by this browser
+        }
+    };
+
+    observe('largest-contentful-paint', (entry) => { vitals.lcp = entry.startTime; });
+    observe('paint', (entry) => {
+        if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+    });
+    observe('layout-shift', (entry) => {
+        if (!entry.hadRecentInput) vitals.cls += entry.value;
+    });
+    observe('longtask', (entry) => vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration }));
+    observe('first-input', (entry) => vitals.interactionDurations.push(entry.duration));
+    observe('event', (entry) => {
+        if (entry.interactionId) vitals.interactionDurations.push(entry.duration);
+    }, { durationThreshold: 16 });
+
+    // Start of each user interaction, for timing client-side navigations
+    for (const type of ['pointerdown', 'keydown']) {
+        window.addEventListener(type, event => vitals.interactions.push({ type, startTime: event.timeStamp }), true);
+    }
+    new MutationObserver(() => { vitals.lastMutation = performance.now(); })
+        .observe(document, { childList: true, subtree: true, characterData: true, attributes: true });
+}
+
+export class WebVitalsCollector {
+    /**
+     * @param {Page} page - Playwright page instance
+     */
+    constructor(page) {
+        this.page = page;
+        this.cdp = null;
+    }
+
+    /**
+     * Creates a collector and starts observing; call before the first navigation
+     */
+    static async attach(page) {
+        const collector = new WebVitalsCollector(page);
+        await page.addInitScript(observeVitals, { store: STORE });
+
+        try {
+            collector.cdp = await page.context().newCDPSession(page);
+            await collector.cdp.send('Performance.enable');
+        } catch (error) {
+            await debugLog(`CDP performance metrics unavailable: ${error.message}`, 'WARN');
+            collector.cdp = null;
+        }
+        return collector;
+    }
+
+    async getCdpMetrics() {
+        if (!this.cdp) return null;
+        const { metrics } = await this.cdp.send('Performance.getMetrics');
+        const values = Object.fromEntries(metrics.map(({ name, value }) => [name, value]));
+        return {
+            taskDuration: values.TaskDuration * 1000,
+            scriptDuration: values.ScriptDuration * 1000,
+            layoutDuration: values.LayoutDuration * 1000,
+            recalcStyleDuration: values.RecalcStyleDuration * 1000,
+            layoutCount: values.LayoutCount,
+            nodes: values.Nodes,
+            jsHeapUsedSize: values.JSHeapUsedSize
+        };
+    }
+
+    /**
+     * Reads the current document's vitals
+     *
+     * @returns {Promise<{url: string, lcp: number|null, cls: number, fcp: number|null, inp: number|null,
+     *           tbt: number, ttfb: number|null, navigation: Object|null, cdp: Object|null}>}
+     *          inp is null until the user interacted; navigation holds the document's navigation timing
+     */
+    async collect() {
+        const browserVitals = await this.page.evaluate(({ store, blockingMs }) => {
+            const vitals = window[store];
+            const [navigation] = performance.getEntriesByType('navigation');
+            const round = value => (value === null || value === undefined ? null : Math.round(value));
+
+            // TBT: main-thread blocking after first contentful paint
+            const tbt = vitals.longTasks
+                .filter(task => vitals.fcp === null || task.startTime >= vitals.fcp)
+                .reduce((total, task) => total + Math.max(0, task.duration - blockingMs), 0);
+
+            return {
+                url: location.href,
+                lcp: round(vitals.lcp),
+                cls: Number(vitals.cls.toFixed(4)),
+                fcp: round(vitals.fcp),
+                inp: vitals.interactionDurations.length > 0 ? round(Math.max(...vitals.interactionDurations)) : null,
+                tbt: round(tbt),
+                ttfb: navigation ? round(navigation.responseStart) : null,
+                navigation: navigation ? {
+                    type: navigation.type,
+                    domInteractive: round(navigation.domInteractive),
+                    domContentLoaded: round(navigation.domContentLoadedEventEnd),
+                    load: round(navigation.loadEventEnd),
+                    transferSize: navigation.transferSize
+                } : null
+            };
+        }, { store: STORE, blockingMs: LONG_TASK_BLOCKING_MS });
+
+        const vitals = { ...browserVitals, cdp: await this.getCdpMetrics() };
+        await debugLog(`Web vitals for ${vitals.url}: LCP ${vitals.lcp}ms, CLS ${vitals.cls}, FCP ${vitals.fcp}ms, ` +
+            `INP ${vitals.inp}ms, TBT ${vitals.tbt}ms, TTFB ${vitals.ttfb}ms`, 'INFO');
+        return vitals;
+    }
+
+    /**
+     * Times a client-side navigation driven by the user, measured in the page
+     *
+     * Runs from the first pointer or key event the action sends to the later
+     * of the last fetch/xhr response and the last DOM change, so the action
+     * must wait until the new view has loaded.
+     *
+     * @param {Function} action - Async callback performing the clicks
+     * @returns {Promise<number|null>} - Milliseconds, or null when the action sent no input
+     */
+    async measureInteraction(action) {
+        const before = await this.page.evaluate(store => window[store].interactions.length, STORE);
+        await action();
+
+        return this.page.evaluate(({ store, index }) => {
+            const vitals = window[store];
+            const interaction = vitals.interactions[index];
+            if (!interaction) return null;
+
+            const lastResponse = performance.getEntriesByType('resource')
+                .filter(entry => ['fetch', 'xmlhttprequest'].includes(entry.initiatorType) && entry.startTime >= interaction.startTime)
+                .reduce((latest, entry) => Math.max(latest, entry.responseEnd), interaction.startTime);
+            return Math.round(Math.max(lastResponse, vitals.lastMutation || 0) - interaction.startTime);
+        }, { store: STORE, index: before });
+    }
+}
+
+/**
+ * Compares measurements with the max<Metric> budgets of a scenario
+ *
+ * maxLcp applies to measurements.lcp, maxLoginTime to measurements.loginTime
+ * and so on; budgets without a measurement fail as not measured.
+ *
+ * @param {Object} measurements - Metric name -> value
+ * @param {Object} scenario - Scenario from performanceTestScenarios
+ * @returns {Array<{metric: string, value: number|null, budget: number, passed: boolean}>}
+ */
+export function checkBudgets(measurements, scenario) {
+    return Object.entries(scenario)
+        .filter(([key, budget]) => /^max[A-Z]/.test(key) && typeof budget === 'number')
+        .map(([key, budget]) => {
+            const metric = key.charAt(3).toLowerCase() + key.slice(4);
+            const value = measurements[metric] ?? null;
+            return { metric, value, budget, passed: value !== null && value <= budget };
+        });
+}
+
+/**
+ * One line per exceeded budget, e.g. 'lcp: 3120 > 2500'
+ */
+export function describeBudgetFailures(results) {
+    return results
+        .filter(result => !result.passed)
+        .map(({ metric, value, budget }) => (value === null ? `${metric}: not measured (budget ${budget})` : `${metric}: ${value} > ${budget}`));
+}
+
+/**
+ * Attaches collected vitals and budget results to the test report
+ */
+export async function attachWebVitals(testInfo, vitals, budgets = []) {
+    await testInfo.attach('web-vitals', {
+        body: JSON.stringify({ vitals, budgets }, null, 2),
+        contentType: 'application/json'
+    });
+}
+
+export default {
+    WebVitalsCollector,
+    checkBudgets,
+    describeBudgetFailures,
+    attachWebVitals
+};
@@ -0,0 +1,186 @@
+/**
+ * XSS Detector
+ *
+ * Instruments a page so script injected through test input is noticed instead
+ * of passing silently:
+ * - a canary global (window.__xssCanary) that payloads assign to or call
+ * - an init script wrapping dangerous DOM sinks (innerHTML, outerHTML,
+ *   insertAdjacentHTML, document.write, eval, Function, string timers and
+ *   on* attributes) that records the markup or code written through them
+ * - a dialog listener, since classic payloads call alert()
+ *
+ * A canary hit or dialog is a trigger; it is reported with the payload and the
+ * sink it most likely came through. The xssDetector fixture in
+ * shared/test-wrappers.js installs a detector for wrapper tests that set
+ * detectXss and fails the test on any trigger.
+ */
+
+// Global that payloads set: <img src=x onerror="window.__xssCanary='XSS_ID'">
+export const XSS_CANARY = '__xssCanary';
+const REPORT_BINDING = '__xssReport';
+
+/**
+ * Runs in the page before any app script (page.addInitScript); must stay self-contained
+ */
+function instrumentPage({ canary, binding }) {
+    // Markup or URLs that can run script once parsed
+    const SCRIPT_CAPABLE = /<\s*(script|iframe|object|embed|svg|img|a|body|details)\b|\bon[a-z]+\s*=|javascript:/i;
+
+    const report = (event) => {
+        try {
+            window[binding]({ ...event, url: location.href, stack: new Error().stack });
+        } catch (error) {
+            // Binding unavailable (e.g. about:blank); nothing to report to
+        }
+    };
+    const watchMarkup = (sink, value) => {
+        const text = String(value);
+        if (SCRIPT_CAPABLE.test(text)) report({ kind: 'sink', sink, payload: text });
+    };
+
+    // Canary: assigning or calling it is a trigger
+    Object.defineProperty(window, canary, {
+        configurable: false,
+        get: () => (value) => report({ kind: 'canary', payload: String(value) }),
+        set: (value) => report({ kind: 'canary', payload: String(value) })
+    });
+
+    // HTML sinks
+    for (const property of ['innerHTML', 'outerHTML']) {
+        const descriptor = Object.getOwnPropertyDescriptor(Element.prototype, property);
+        Object.defineProperty(Element.prototype, property, {
+            ...descriptor,
+            set(value) {
+                watchMarkup(property, value);
+                return descriptor.set.call(this, value);
+            }
+        });
+    }
+
+    const insertAdjacentHTML = Element.prototype.insertAdjacentHTML;
+    Element.prototype.insertAdjacentHTML = function (position, value) {
+        watchMarkup('insertAdjacentHTML', value);
+        return insertAdjacentHTML.call(this, position, value);
+    };
+
+    for (const method of ['write', 'writeln']) {
+        const original = Document.prototype[method];
+        Document.prototype[method] = function (...values) {
+            watchMarkup(`document.${method}`, values.join(''));
+            return original.apply(this, values);
+        };
+    }
+
+    // Inline event handlers added as attributes
+    const setAttribute = Element.prototype.setAttribute;
+    Element.prototype.setAttribute = function (name, value) {
+        if (/^on/i.test(name) || (/^(href|src|action|formaction)$/i.test(name) && /^\s*javascript:/i.test(value))) {
+            report({ kind: 'sink', sink: `setAttribute(${name})`, payload: String(value) });
+        }
+        return setAttribute.call(this, name, value);
+    };
+
+    // Code evaluated from strings
+    const originalEval = window.eval;
+    window.eval = function (code) {
+        report({ kind: 'sink', sink: 'eval', payload: String(code) });
+        return originalEval(code);
+    };
+
+    const OriginalFunction = window.Function;
+    window.Function = function (...args) {
+        report({ kind: 'sink', sink: 'Function', payload: args.map(String).join(', ') });
+        return OriginalFunction(...args);
+    };
+    window.Function.prototype = OriginalFunction.prototype;
+
+    for (const timer of ['setTimeout', 'setInterval']) {
+        const original = window[timer];
+        window[timer] = function (handler, ...rest) {
+            if (typeof handler === 'string') report({ kind: 'sink', sink: timer, payload: handler });
+            return original.call(window, handler, ...rest);
+        };
+    }
+}
+
+// "at HTMLImageElement.onerror" in a canary stack -> inline handler that ran the payload
+function inlineHandlerFromStack(stack) {
+    const match = (stack || '').match(/at (\w+\.on[a-z]+)\b/);
+    return match ? `inline handler ${match[1]}` : null;
+}
+
+export class XssDetector {
+    /**
+     * @param {Page} page - Playwright page instance
+     */
+    constructor(page) {
+        this.page = page;
+        this.sinkWrites = [];
+        this.triggers = [];
+        this.onDialog = this.onDialog.bind(this);
+    }
+
+    /**
+     * Creates a detector and instruments the page; call before the first navigation
+     */
+    static async attach(page) {
+        const detector = new XssDetector(page);
+        await page.exposeBinding(REPORT_BINDING, (source, event) => detector.record(event));
+        await page.addInitScript(instrumentPage, { canary: XSS_CANARY, binding: REPORT_BINDING });
+        page.on('dialog', detector.onDialog);
+        return detector;
+    }
+
+    detach() {
+        this.page.off('dialog', this.onDialog);
+    }
+
+    record(event) {
+        if (event.kind === 'sink') {
+            this.sinkWrites.push({ sink: event.sink, payload: event.payload, url: event.url });
+            return;
+        }
+
+        // Attribute the trigger to the inline handler that ran it, else to the last risky sink write
+        const lastWrite = this.sinkWrites[this.sinkWrites.length - 1];
+        this.triggers.push({
+            trigger: 'canary',
+            value: event.payload,
+            sink: inlineHandlerFromStack(event.stack) || (lastWrite ? lastWrite.sink : 'unknown'),
+            payload: lastWrite ? lastWrite.payload : event.payload,
+            url: event.url
+        });
+    }
+
+    async onDialog(dialog) {
+        const lastWrite = this.sinkWrites[this.sinkWrites.length - 1];
+        this.triggers.push({
+            trigger: `${dialog.type()} dialog`,
+            value: dialog.message(),
+            sink: lastWrite ? lastWrite.sink : 'unknown',
+            payload: lastWrite ? lastWrite.payload : dialog.message(),
+            url: this.page.url()
+        });
+
+        // Leave the dialog to a test's own handler; otherwise dismiss it as Playwright would
+        if (this.page.listenerCount('dialog') === 1) {
+            await dialog.dismiss().catch(() => {});
+        }
+    }
+
+    getTriggers() {
+        return [...this.triggers];
+    }
+
+    /**
+     * One line per trigger, e.g. 'canary set to "XSS_1" via innerHTML: <img src=x onerror=...> (http://…/login)'
+     */
+    describeTriggers() {
+        return this.triggers.map(({ trigger, value, sink, payload, url }) => {
+            const what = trigger === 'canary' ? `canary set to "${value}"` : `${trigger} "${value}"`;
+            return `${what} via ${sink}: ${payload} (${url})`;
+        });
+    }
+}
+
+export default XssDetector;
@@ -0,0 +1,44 @@
+import { expect, test } from '@playwright/test';
+import { runBruteForce } from '../../shared/brute-force.js';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { CURRENT_ENV } from '../../shared/env.js';
+import { releaseTest } from '../../shared/test-wrappers.js';
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Security Tests - Brute Force Protection', () => {
+    const policy = CURRENT_ENV.SECURITY.LOGIN_PROTECTION;
+    test.skip(!policy, `${CURRENT_ENV.NAME} defines no SECURITY.LOGIN_PROTECTION policy`);
+
+    releaseTest('Login Protection After Repeated Failures', {
+        testType: 'security',
+        testKey: 'SEC_BRUTE_FORCE'
+    }, async ({ page }, testInfo) => {
+        const section = createSection('Security Test - Brute Force Protection');
+
+        // Every attempt reloads the login page; recovery waits out the lockout
+        test.setTimeout(60000 + (policy.LOCKOUT_MS || 0));
+
+        try {
+            await section.start();
+            await debugLog(`Validating ${policy.MODE} after ${policy.MAX_ATTEMPTS} failed logins...`, 'INFO');
+
+            const report = await runBruteForce(page, policy);
+            await testInfo.attach('brute-force-report', {
+                body: JSON.stringify({ policy: { ...policy, ACCOUNT: { USERNAME: policy.ACCOUNT.USERNAME } }, ...report }, null, 2),
+                contentType: 'application/json'
+            });
+
+            expect(report.failures).toEqual([]);
+            expect(report.correctLoginRefused).toBe(true);
+            await debugLog(`${policy.MODE} verified for ${policy.ACCOUNT.USERNAME}`, 'SUCCESS');
+
+        } catch (error) {
+            await debugLog(`Brute force protection test failed: ${error.message}`, 'ERROR');
+            throw error;
+        } finally {
+            await section.end();
+        }
+    });
+});
@@ -0,0 +1,51 @@
+import { expect } from '@playwright/test';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { describePayload, loadPayloads, submitLoginPayload } from '../../shared/payloads.js';
+import { PageFactory } from '../../shared/PageFactory.js';
+import { regressionTest, test } from '../../shared/test-wrappers.js';
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Security Tests - Login Input Fuzzing', () => {
+    // Injected script that runs and leaked secrets fail the test (shared/xss-detector.js, shared/leak-scanner.js)
+    test.use({ detectXss: true, scanLeaks: true });
+
+    // One test per payload in security-payloads/<category>.json
+    loadPayloads().forEach((payload) => {
+        regressionTest(`FUZZ_${payload.id} - ${payload.description}`, {
+            testTypes: ['security', payload.category],
+            testKey: `FUZZ_${payload.id}`
+        }, async ({ page }) => {
+            const section = createSection(`Fuzzing - ${payload.id}`);
+
+            try {
+                await section.start();
+                await debugLog(`Submitting ${payload.category} payload "${describePayload(payload.value)}"...`, 'INFO');
+
+                for (const field of ['username', 'password']) {
+                    // Step 1: Submit the payload through the field
+                    const result = await submitLoginPayload(page, field, payload);
+
+                    // Step 2: The login is rejected and nothing behind it is reachable
+                    expect(result.outcome, `${field}: payload logged in`).not.toBe('login_success');
+                    const pages = PageFactory.createPages(page);
+                    expect(await pages.dashboardPage.verifyUserIsNotAuthenticated(), `${field}: dashboard reachable`).toBe(true);
+
+                    // Step 3: No injected script ran, the server did not fail and the markup was not echoed back
+                    expect(result.dialogs, `${field}: script opened a dialog`).toEqual([]);
+                    expect(result.serverErrors, `${field}: server errors`).toEqual([]);
+                    expect(result.reflected, `${field}: raw payload reflected into the page`).toBe(false);
+                }
+
+                await debugLog(`FUZZ_${payload.id} rejected safely in both fields`, 'SUCCESS');
+
+            } catch (error) {
+                await debugLog(`FUZZ_${payload.id} failed: ${error.message}`, 'ERROR');
+                throw error;
+            } finally {
+                await section.end();
+            }
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { expect, test } from '@playwright/test';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { LoginManager } from '../../shared/LoginManager.js';
+import { crawlRoutes, replayDataRoute, replayRoute } from '../../shared/route-crawler.js';
+import { releaseTest } from '../../shared/test-wrappers.js';
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Security Tests - Unauthenticated Route Access', () => {
+    releaseTest('Crawled Routes Require a Session', {
+        testType: 'security',
+        testKey: 'SEC_ROUTE_CRAWL'
+    }, async ({ page }, testInfo) => {
+        const section = createSection('Security Test - Unauthenticated Route Replay');
+        const browser = page.context().browser();
+
+        try {
+            await section.start();
+
+            // Step 1: Sign in and crawl every reachable route
+            await debugLog('Step 1: Crawling routes as a signed-in user...', 'INFO');
+            const loginResult = await LoginManager.loginProgrammatically(page.context());
+            expect(loginResult.success, loginResult.error).toBe(true);
+
+            const crawl = await crawlRoutes(page);
+            expect(crawl.routes.length).toBeGreaterThan(0);
+            expect(crawl.markers.length, 'no board content found to look for').toBeGreaterThan(0);
+
+            // Step 2: Replay each page route without a session
+            await debugLog('Step 2: Replaying page routes without a session...', 'INFO');
+            const replays = [];
+            for (const route of crawl.routes) {
+                const replay = await replayRoute(browser, route, crawl.markers);
+                replays.push(replay);
+
+                expect.soft(replay.loginFormShown, `${route} did not show the login form (ended on ${replay.finalUrl})`).toBe(true);
+                expect.soft(replay.leakedInDom, `${route} rendered board content`).toEqual([]);
+                expect.soft(replay.leakedInResponses, `${route} received board content`).toEqual([]);
+            }
+
+            // Step 3: Replay the data requests the app made
+            await debugLog('Step 3: Replaying data requests without a session...', 'INFO');
+            const dataReplays = [];
+            for (const route of crawl.dataRoutes) {
+                const replay = await replayDataRoute(browser, route, crawl.markers);
+                dataReplays.push(replay);
+
+                expect.soft(replay.leaked, `GET ${route} returned board content (${replay.status})`).toEqual([]);
+            }
+
+            await testInfo.attach('route-crawl', {
+                body: JSON.stringify({ ...crawl, replays, dataReplays }, null, 2),
+                contentType: 'application/json'
+            });
+
+            // Soft assertions above fail the test after it ends; only log success when none failed
+            if (testInfo.errors.length === 0) {
+                await debugLog(`${replays.length} route(s) and ${dataReplays.length} data request(s) are protected`, 'SUCCESS');
+            }
+
+        } catch (error) {
+            await debugLog(`Route crawl failed: ${error.message}`, 'ERROR');
+            throw error;
+        } finally {
+            await section.end();
+        }
+    });
+});
@@ -1,8 +1,9 @@
-import { expect, test } from '@playwright/test';
+import { test } from '@playwright/test';
 import { DashboardPage } from '../pages/DashboardPage.js';
 import { KanbanPage } from '../pages/KanbanPage.js';
 import { LoginPage } from '../pages/LoginPage.js';
 import { CURRENT_ENV, TEST_DATA as ENV_TEST_DATA } from '../shared/env.js';
+import { expect } from '../shared/matchers.js';
 import testData from '../test-data.json' assert { type: 'json' };
 
 test('Single data-driven evaluation suite', async ({ page, browser }, testInfo) => {
@@ -29,29 +30,20 @@ test('Single data-driven evaluation suite', async ({ page, browser }, testInfo)
     // Iterate functional scenarios (web/mobile board validations)
     for (const scenario of testData.testScenarios) {
         await test.step(`${scenario.testKey} - ${scenario.testName}`, async () => {
-            // Navigate to requested application
-            if (scenario.application.toLowerCase().includes('web')) {
-                const ok = await dashboardPage.navigateToWebApplication();
-                expect(ok).toBeTruthy();
-            } else if (scenario.application.toLowerCase().includes('mobile')) {
-                const ok = await dashboardPage.navigateToMobileApplication();
-                expect(ok).toBeTruthy();
-            }
+            // Navigate to requested application by its sidebar name
+            const ok = await dashboardPage.navigateToProject(scenario.application);
+            expect(ok, `Project "${scenario.application}" should open from the sidebar`).toBeTruthy();
 
             // Wait for kanban
             const boardLoaded = await kanbanPage.waitForKanbanBoard();
             expect(boardLoaded).toBeTruthy();
 
             // Verify task presence and tags
-            const result = await kanbanPage.verifyTaskInColumn(
-                scenario.taskName,
-                scenario.column,
-                scenario.expectedTags || []
-            );
-
-            expect(result.found, `Task ${scenario.taskName} should exist in ${scenario.column}`).toBeTruthy();
+            await expect(kanbanPage, `Task ${scenario.taskName} should exist in ${scenario.column}`)
+                .toHaveTaskInColumn(scenario.taskName, scenario.column);
             if (scenario.expectedTags && scenario.expectedTags.length > 0) {
-                expect(result.tagsMatch, `Expected tags ${scenario.expectedTags} on ${scenario.taskName}. Actual: ${result.tags}`).toBeTruthy();
+                await expect(kanbanPage, `Expected tags ${scenario.expectedTags} on ${scenario.taskName}`)
+                    .toHaveTaskWithTags(scenario.taskName, scenario.expectedTags, { mode: scenario.tagMatchMode });
             }
 
             // Attach minimal artifact per scenario
@@ -0,0 +1,130 @@
+import { expect, test } from '@playwright/test';
+import { debugLog, initDebugMode } from '../../shared/debug.js';
+import { KanbanPage } from '../../pages/KanbanPage.js';
+import { regressionTest } from '../../shared/test-wrappers.js';
+
+// Initialize debug mode
+initDebugMode();
+
+// Fixed aliases so the tests do not depend on the environment's BOARD.COLUMN_ALIASES
+const COLUMN_ALIASES = {
+    'Code Review': 'Review',
+    'On Hold': 'Blocked'
+};
+
+function card(title, tags = []) {
+    const chips = tags.map(tag => `<span class="rounded-full">${tag}</span>`).join('');
+    return `<div class="card"><h3>${title}</h3><p>${title} description</p><div>${chips}</div></div>`;
+}
+
+function column(name, cards) {
+    return `<div class="column"><h2>${name} (${cards.length})</h2>${cards.join('')}</div>`;
+}
+
+// Rendered like the demo board: sidebar headings are not columns, column headings carry a card count
+const BOARD_HTML = `
+    <nav><h2>Projects</h2><a href="#">Web Application</a></nav>
+    <main class="kanban">
+        ${column('To Do', [card('Implement login', ['Feature']), card('Duplicate card'), card('Duplicate card')])}
+        ${column('In Progress', [card('Fix navigation bug', ['Bug', 'High Priority'])])}
+        ${column('Review', [card('Design review', ['Design'])])}
+    </main>`;
+
+test.describe('Kanban Column Matching', () => {
+    let kanbanPage;
+
+    test.beforeEach(async ({ page }) => {
+        await page.setContent(BOARD_HTML);
+        kanbanPage = new KanbanPage(page, { columnAliases: COLUMN_ALIASES });
+    });
+
+    regressionTest('Column Names Match Case, Whitespace And Aliases', {
+        testType: 'ui',
+        testKey: 'KANBAN_MATCH_COLUMN_NAMES'
+    }, async () => {
+        const columns = ['To Do', 'In Progress', 'Review'];
+
+        expect(kanbanPage.matchColumnName('To Do', columns)).toBe('To Do');
+        expect(kanbanPage.matchColumnName('todo', columns)).toBe('To Do');
+        expect(kanbanPage.matchColumnName('  IN progress ', columns)).toBe('In Progress');
+        expect(kanbanPage.matchColumnName('Code Review', columns)).toBe('Review');
+        expect(kanbanPage.matchColumnName('code  review', columns)).toBe('Review');
+
+        // Unknown names and aliases whose target is not on the board resolve to nothing
+        expect(kanbanPage.matchColumnName('Backlog', columns)).toBeNull();
+        expect(kanbanPage.matchColumnName('On Hold', columns)).toBeNull();
+        await debugLog('Column names resolved as expected', 'SUCCESS');
+    });
+
+    regressionTest('Board Model Reads Columns And Cards', {
+        testType: 'ui',
+        testKey: 'KANBAN_PARSE_BOARD'
+    }, async () => {
+        const board = await kanbanPage.parseBoard();
+
+        expect(board.columns.map(({ name }) => name)).toEqual(['To Do', 'In Progress', 'Review']);
+        expect(board.columns[0].cards.map(({ title }) => title)).toEqual(['Implement login', 'Duplicate card', 'Duplicate card']);
+        expect(board.columns[1].cards[0]).toEqual({
+            title: 'Fix navigation bug',
+            description: 'Fix navigation bug description',
+            tags: ['Bug', 'High Priority'],
+            position: 0
+        });
+
+        expect(kanbanPage.findColumnInModel(board, 'code review').name).toBe('Review');
+        expect(kanbanPage.findColumnInModel(board, 'Backlog')).toBeNull();
+        expect(kanbanPage.findCardInModel(board, 'design REVIEW').column).toBe('Review');
+        await debugLog('Board model parsed as expected', 'SUCCESS');
+    });
+
+    regressionTest('Task Lookup Through A Column Alias', {
+        testType: 'ui',
+        testKey: 'KANBAN_FIND_TASK_ALIAS'
+    }, async () => {
+        const result = await kanbanPage.findTaskInColumn('Design review', 'Code Review');
+
+        expect(result.found, result.reason).toBe(true);
+        expect(result.column).toBe('Review');
+        expect(result.strategy).toBe('column-card-title');
+        expect(result.index).toBe(0);
+    });
+
+    regressionTest('Task Lookup In An Unknown Column', {
+        testType: 'ui',
+        testKey: 'KANBAN_FIND_TASK_UNKNOWN_COLUMN'
+    }, async () => {
+        const result = await kanbanPage.findTaskInColumn('Implement login', 'Backlog');
+
+        expect(result.found).toBe(false);
+        expect(result.reason).toBe('Column "Backlog" not found. Columns on board: [To Do, In Progress, Review]');
+    });
+
+    regressionTest('Task Lookup Reports The Column A Task Is In', {
+        testType: 'ui',
+        testKey: 'KANBAN_FIND_TASK_OTHER_COLUMN'
+    }, async () => {
+        const result = await kanbanPage.findTaskInColumn('Implement login', 'In Progress');
+
+        expect(result.found).toBe(false);
+        expect(result.actualColumn).toBe('To Do');
+        expect(result.reason).toContain('(it is in "To Do")');
+    });
+
+    regressionTest('Duplicate Cards Are Ambiguous In Strict Mode', {
+        testType: 'ui',
+        testKey: 'KANBAN_FIND_TASK_DUPLICATE'
+    }, async () => {
+        const strictResult = await kanbanPage.findTaskInColumn('Duplicate card', 'To Do');
+        expect(strictResult.found).toBe(false);
+        expect(strictResult.strict).toBe(true);
+        expect(strictResult.reason).toContain('column-card-title: 2 matches');
+        expect(strictResult.reason).toContain('column-exact-text: 2 matches');
+
+        // Lenient mode takes the first match and says how it got there
+        const lenientResult = await kanbanPage.findTaskInColumn('Duplicate card', 'To Do', { strict: false });
+        expect(lenientResult.found).toBe(true);
+        expect(lenientResult.column).toBe('To Do');
+        expect(lenientResult.strategy).toBe('column-card-title');
+        expect(lenientResult.index).toBe(1);
+    });
+});
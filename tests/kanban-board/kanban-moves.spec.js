@@ -0,0 +1,73 @@
+import { expect, test } from '@playwright/test';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { CURRENT_ENV, TEST_DATA } from '../../shared/env.js';
+import { PageFactory } from '../../shared/PageFactory.js';
+import { regressionTest, smokeTest } from '../../shared/test-wrappers.js';
+import testData from '../../test-data.json' assert { type: 'json' };
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Kanban Board Moves - Data Driven', () => {
+    test.skip(!CURRENT_ENV.BOARD.WRITABLE, `${CURRENT_ENV.NAME} does not keep board changes (BOARD.WRITABLE)`);
+
+    testData.moveTestScenarios.forEach((testScenario) => {
+        const testFunction = testScenario.category === 'smoke' ? smokeTest : regressionTest;
+
+        testFunction(`${testScenario.testKey} - Move ${testScenario.taskName} to ${testScenario.targetColumn}`, {
+            testTypes: testScenario.testTypes,
+            testKey: testScenario.testKey
+        }, async ({ page }, testInfo) => {
+            const section = createSection(testScenario.testName);
+
+            try {
+                await section.start();
+                await debugLog(`Executing ${testScenario.testKey}: ${testScenario.description}`, 'INFO');
+
+                // Step 1: Open the dashboard (storage state handles authentication)
+                await debugLog('Step 1: Navigating to dashboard...', 'INFO');
+                const pages = PageFactory.createPages(page);
+                await page.goto(TEST_DATA.LOGIN.URL);
+                await pages.dashboardPage.waitForPageLoad();
+
+                const isAuthenticated = await pages.dashboardPage.verifyUserIsAuthenticated();
+                expect(isAuthenticated).toBe(true);
+
+                // Step 2: Navigate to the scenario's application
+                await debugLog(`Step 2: Navigating to ${testScenario.application}...`, 'INFO');
+                const navigationResult = await pages.dashboardPage.navigateToProject(testScenario.application);
+                expect(navigationResult).toBe(true);
+
+                const kanbanLoaded = await pages.kanbanPage.waitForKanbanBoard();
+                expect(kanbanLoaded).toBe(true);
+
+                // Step 3: Move the card and verify its new column and order
+                await debugLog(`Step 3: Moving "${testScenario.taskName}" to ${testScenario.targetColumn}...`, 'INFO');
+                const moveResult = await pages.kanbanPage.moveTask(testScenario.taskName, testScenario.targetColumn, {
+                    position: testScenario.position,
+                    strategy: testScenario.strategy
+                });
+
+                await testInfo.attach(`${testScenario.testKey}-board-state`, {
+                    body: JSON.stringify({ before: moveResult.before, after: moveResult.after }, null, 2),
+                    contentType: 'application/json'
+                });
+
+                expect(moveResult.success, moveResult.error).toBe(true);
+                expect(moveResult.from.column).toBe(testScenario.fromColumn);
+                expect(moveResult.to.column).toBe(testScenario.targetColumn);
+                if (testScenario.position !== null) {
+                    expect(moveResult.to.position).toBe(testScenario.position);
+                }
+
+                await debugLog(`${testScenario.testKey} completed successfully`, 'SUCCESS');
+
+            } catch (error) {
+                await debugLog(`${testScenario.testKey} failed: ${error.message}`, 'ERROR');
+                throw error;
+            } finally {
+                await section.end();
+            }
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import { expect } from '@playwright/test';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { getRoleUsers, TEST_DATA } from '../../shared/env.js';
+import { PageFactory } from '../../shared/PageFactory.js';
+import { regressionTest, smokeTest, test } from '../../shared/test-wrappers.js';
+import testData from '../../test-data.json' assert { type: 'json' };
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Kanban Board Permissions - Data Driven', () => {
+    testData.permissionTestScenarios.forEach((testScenario) => {
+        test.describe(`Signed in as ${testScenario.role}`, () => {
+            // Sign in with the storage state saved for this role by auth.setup.js
+            test.use({ role: testScenario.role });
+            test.skip(!getRoleUsers()[testScenario.role], `No "${testScenario.role}" user configured for this environment`);
+
+            const testFunction = testScenario.category === 'smoke' ? smokeTest : regressionTest;
+
+            testFunction(`${testScenario.testKey} - ${testScenario.testName}`, {
+                testTypes: testScenario.testTypes,
+                testKey: testScenario.testKey
+            }, async ({ page }) => {
+                const section = createSection(testScenario.testName);
+
+                try {
+                    await section.start();
+                    await debugLog(`Executing ${testScenario.testKey}: ${testScenario.description}`, 'INFO');
+
+                    // Step 1: Open the dashboard as the scenario's role
+                    await debugLog(`Step 1: Navigating to dashboard as ${testScenario.role}...`, 'INFO');
+                    const pages = PageFactory.createPages(page);
+                    await page.goto(TEST_DATA.LOGIN.URL);
+                    await pages.dashboardPage.waitForPageLoad();
+
+                    const isAuthenticated = await pages.dashboardPage.verifyUserIsAuthenticated();
+                    expect(isAuthenticated).toBe(true);
+
+                    // Step 2: Navigate to the scenario's application
+                    await debugLog(`Step 2: Navigating to ${testScenario.application}...`, 'INFO');
+                    const navigationResult = await pages.dashboardPage.navigateToProject(testScenario.application);
+                    expect(navigationResult).toBe(true);
+
+                    const kanbanLoaded = await pages.kanbanPage.waitForKanbanBoard();
+                    expect(kanbanLoaded).toBe(true);
+
+                    // Step 3: Compare the offered board actions with the role's permissions
+                    await debugLog('Step 3: Checking board actions...', 'INFO');
+                    const permissions = await pages.kanbanPage.getBoardPermissions();
+                    expect(permissions).toEqual(testScenario.expectedPermissions);
+
+                    await debugLog(`${testScenario.testKey} completed successfully`, 'SUCCESS');
+
+                } catch (error) {
+                    await debugLog(`${testScenario.testKey} failed: ${error.message}`, 'ERROR');
+                    throw error;
+                } finally {
+                    await section.end();
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,62 @@
+import { test } from '@playwright/test';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { hasBoardSnapshotBaselines, shouldUpdateBoardSnapshots } from '../../shared/board-snapshot.js';
+import { getTestEnv, TEST_DATA } from '../../shared/env.js';
+import { expect } from '../../shared/matchers.js';
+import { PageFactory } from '../../shared/PageFactory.js';
+import { regressionTest, smokeTest } from '../../shared/test-wrappers.js';
+import testData from '../../test-data.json' assert { type: 'json' };
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Kanban Board Snapshots - Data Driven', () => {
+    testData.snapshotTestScenarios.forEach((testScenario) => {
+        const testFunction = testScenario.category === 'smoke' ? smokeTest : regressionTest;
+
+        testFunction(`${testScenario.testKey} - ${testScenario.testName}`, {
+            testTypes: testScenario.testTypes,
+            testKey: testScenario.testKey
+        }, async ({ page }, testInfo) => {
+            // Baselines are committed per environment; without them there is nothing to compare against
+            test.skip(!hasBoardSnapshotBaselines() && !shouldUpdateBoardSnapshots(testInfo),
+                `No board snapshot baselines for ${getTestEnv().NAME} (board-snapshots/${getTestEnv().NAME}/)`);
+
+            const section = createSection(testScenario.testName);
+
+            try {
+                await section.start();
+                await debugLog(`Executing ${testScenario.testKey}: ${testScenario.description}`, 'INFO');
+
+                // Step 1: Open the dashboard (storage state handles authentication)
+                await debugLog('Step 1: Navigating to dashboard...', 'INFO');
+                const pages = PageFactory.createPages(page);
+                await page.goto(TEST_DATA.LOGIN.URL);
+                await pages.dashboardPage.waitForPageLoad();
+
+                const isAuthenticated = await pages.dashboardPage.verifyUserIsAuthenticated();
+                expect(isAuthenticated).toBe(true);
+
+                // Step 2: Navigate to the scenario's application
+                await debugLog(`Step 2: Navigating to ${testScenario.application}...`, 'INFO');
+                const navigationResult = await pages.dashboardPage.navigateToProject(testScenario.application);
+                expect(navigationResult).toBe(true);
+
+                const kanbanLoaded = await pages.kanbanPage.waitForKanbanBoard();
+                expect(kanbanLoaded).toBe(true);
+
+                // Step 3: Compare the whole board against the environment's baseline
+                await debugLog(`Step 3: Comparing board with snapshot "${testScenario.snapshotName}"...`, 'INFO');
+                await expect(pages.kanbanPage).toMatchBoardSnapshot(testScenario.snapshotName);
+
+                await debugLog(`${testScenario.testKey} completed successfully`, 'SUCCESS');
+
+            } catch (error) {
+                await debugLog(`${testScenario.testKey} failed: ${error.message}`, 'ERROR');
+                throw error;
+            } finally {
+                await section.end();
+            }
+        });
+    });
+});
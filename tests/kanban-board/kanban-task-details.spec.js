@@ -0,0 +1,94 @@
+import { expect, test } from '@playwright/test';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { CURRENT_ENV, TEST_DATA } from '../../shared/env.js';
+import { PageFactory } from '../../shared/PageFactory.js';
+import { regressionTest, smokeTest } from '../../shared/test-wrappers.js';
+import testData from '../../test-data.json' assert { type: 'json' };
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Kanban Task Details - Data Driven', () => {
+    test.skip(!CURRENT_ENV.BOARD.WRITABLE, `${CURRENT_ENV.NAME} does not keep board changes (BOARD.WRITABLE)`);
+
+    // Remove anything the test created, even when the test failed part-way
+    test.afterEach(async ({ page }) => {
+        const { kanbanPage } = PageFactory.createPages(page);
+        const leftovers = await kanbanPage.cleanupCreatedTasks();
+        expect(leftovers, `Tasks left behind by cleanup: ${JSON.stringify(leftovers)}`).toEqual([]);
+    });
+
+    testData.taskDetailTestScenarios.forEach((testScenario) => {
+        const testFunction = testScenario.category === 'smoke' ? smokeTest : regressionTest;
+
+        testFunction(`${testScenario.testKey} - ${testScenario.testName}`, {
+            testTypes: testScenario.testTypes,
+            testKey: testScenario.testKey
+        }, async ({ page }) => {
+            const section = createSection(testScenario.testName);
+            const taskName = testScenario.task ? testScenario.task.title : testScenario.taskName;
+
+            try {
+                await section.start();
+                await debugLog(`Executing ${testScenario.testKey}: ${testScenario.description}`, 'INFO');
+
+                // Step 1: Open the dashboard (storage state handles authentication)
+                await debugLog('Step 1: Navigating to dashboard...', 'INFO');
+                const pages = PageFactory.createPages(page);
+                await page.goto(TEST_DATA.LOGIN.URL);
+                await pages.dashboardPage.waitForPageLoad();
+
+                const isAuthenticated = await pages.dashboardPage.verifyUserIsAuthenticated();
+                expect(isAuthenticated).toBe(true);
+
+                // Step 2: Navigate to the scenario's application
+                await debugLog(`Step 2: Navigating to ${testScenario.application}...`, 'INFO');
+                const navigationResult = await pages.dashboardPage.navigateToProject(testScenario.application);
+                expect(navigationResult).toBe(true);
+
+                const kanbanLoaded = await pages.kanbanPage.waitForKanbanBoard();
+                expect(kanbanLoaded).toBe(true);
+
+                // Step 3: Create the task when the scenario does not use a seeded card
+                if (testScenario.task) {
+                    await debugLog(`Step 3: Creating "${taskName}"...`, 'INFO');
+                    const createResult = await pages.kanbanPage.createTask(testScenario.task);
+                    expect(createResult.success, createResult.error).toBe(true);
+                }
+
+                // Step 4: Open the card and read its details
+                await debugLog(`Step 4: Opening details for "${taskName}"...`, 'INFO');
+                const openResult = await pages.taskDetailPage.openTask(taskName);
+                expect(openResult.success, openResult.error).toBe(true);
+
+                const details = await pages.taskDetailPage.getDetails();
+                expect(details).not.toBeNull();
+                expect(details.title).toBe(taskName);
+                if (testScenario.expectedDetails) {
+                    expect(details).toEqual(testScenario.expectedDetails);
+                }
+
+                // Step 5: Edit fields from the details view
+                if (testScenario.edit) {
+                    await debugLog(`Step 5: Editing "${taskName}" from its details...`, 'INFO');
+                    const editResult = await pages.taskDetailPage.editTask(testScenario.edit);
+                    expect(editResult.success, editResult.error).toBe(true);
+                    expect(editResult.details).toMatchObject(testScenario.edit);
+                }
+
+                // Step 6: Close the dialog
+                await debugLog('Step 6: Closing task details...', 'INFO');
+                const closed = await pages.taskDetailPage.close();
+                expect(closed).toBe(true);
+
+                await debugLog(`${testScenario.testKey} completed successfully`, 'SUCCESS');
+
+            } catch (error) {
+                await debugLog(`${testScenario.testKey} failed: ${error.message}`, 'ERROR');
+                throw error;
+            } finally {
+                await section.end();
+            }
+        });
+    });
+});
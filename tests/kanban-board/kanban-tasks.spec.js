@@ -0,0 +1,87 @@
+import { expect, test } from '@playwright/test';
+import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
+import { CURRENT_ENV, TEST_DATA } from '../../shared/env.js';
+import { PageFactory } from '../../shared/PageFactory.js';
+import { regressionTest, smokeTest } from '../../shared/test-wrappers.js';
+import testData from '../../test-data.json' assert { type: 'json' };
+
+// Initialize debug mode
+initDebugMode();
+
+test.describe('Kanban Board Tasks - Data Driven', () => {
+    test.skip(!CURRENT_ENV.BOARD.WRITABLE, `${CURRENT_ENV.NAME} does not keep board changes (BOARD.WRITABLE)`);
+
+    // Remove anything the test created, even when the test failed part-way
+    test.afterEach(async ({ page }) => {
+        const { kanbanPage } = PageFactory.createPages(page);
+        const leftovers = await kanbanPage.cleanupCreatedTasks();
+        expect(leftovers, `Tasks left behind by cleanup: ${JSON.stringify(leftovers)}`).toEqual([]);
+    });
+
+    testData.taskTestScenarios.forEach((testScenario) => {
+        const testFunction = testScenario.category === 'smoke' ? smokeTest : regressionTest;
+
+        testFunction(`${testScenario.testKey} - ${testScenario.testName}`, {
+            testTypes: testScenario.testTypes,
+            testKey: testScenario.testKey
+        }, async ({ page }) => {
+            const section = createSection(testScenario.testName);
+            const { task } = testScenario;
+
+            try {
+                await section.start();
+                await debugLog(`Executing ${testScenario.testKey}: ${testScenario.description}`, 'INFO');
+
+                // Step 1: Open the dashboard (storage state handles authentication)
+                await debugLog('Step 1: Navigating to dashboard...', 'INFO');
+                const pages = PageFactory.createPages(page);
+                await page.goto(TEST_DATA.LOGIN.URL);
+                await pages.dashboardPage.waitForPageLoad();
+
+                const isAuthenticated = await pages.dashboardPage.verifyUserIsAuthenticated();
+                expect(isAuthenticated).toBe(true);
+
+                // Step 2: Navigate to the scenario's application
+                await debugLog(`Step 2: Navigating to ${testScenario.application}...`, 'INFO');
+                const navigationResult = await pages.dashboardPage.navigateToProject(testScenario.application);
+                expect(navigationResult).toBe(true);
+
+                const kanbanLoaded = await pages.kanbanPage.waitForKanbanBoard();
+                expect(kanbanLoaded).toBe(true);
+
+                // Step 3: Create the task
+                await debugLog(`Step 3: Creating "${task.title}" in ${task.column}...`, 'INFO');
+                const createResult = await pages.kanbanPage.createTask(task);
+                expect(createResult.success, createResult.error).toBe(true);
+                expect(createResult.column).toBe(task.column);
+                expect(createResult.task.tags).toEqual(task.tags);
+
+                // Step 4: Edit the task
+                if (testScenario.edit) {
+                    await debugLog(`Step 4: Editing "${task.title}"...`, 'INFO');
+                    const editResult = await pages.kanbanPage.editTask(task.title, testScenario.edit);
+                    expect(editResult.success, editResult.error).toBe(true);
+                    if (testScenario.edit.tags) {
+                        expect(editResult.task.tags).toEqual(testScenario.edit.tags);
+                    }
+                }
+
+                // Step 5: Delete the task
+                if (testScenario.deleteAfter) {
+                    const currentTitle = (testScenario.edit && testScenario.edit.title) || task.title;
+                    await debugLog(`Step 5: Deleting "${currentTitle}"...`, 'INFO');
+                    const deleteResult = await pages.kanbanPage.deleteTask(currentTitle);
+                    expect(deleteResult.success, deleteResult.error).toBe(true);
+                }
+
+                await debugLog(`${testScenario.testKey} completed successfully`, 'SUCCESS');
+
+            } catch (error) {
+                await debugLog(`${testScenario.testKey} failed: ${error.message}`, 'ERROR');
+                throw error;
+            } finally {
+                await section.end();
+            }
+        });
+    });
+});
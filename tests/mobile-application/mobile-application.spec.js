@@ -1,6 +1,7 @@
-import { expect, test } from '@playwright/test';
+import { test } from '@playwright/test';
 import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
 import { TEST_DATA } from '../../shared/env.js';
+import { expect } from '../../shared/matchers.js';
 import { PageFactory } from '../../shared/PageFactory.js';
 import { regressionTest, smokeTest } from '../../shared/test-wrappers.js';
 import testData from '../../test-data.json' assert { type: 'json' };
@@ -54,16 +55,11 @@ test.describe('Mobile Application Tests - Data Driven', () => {
 
                 // Step 5: Verify task in specified column (data-driven)
                 await debugLog(`Step 5: Verifying "${testScenario.taskName}" task in ${testScenario.column} column...`, 'INFO');
-                const verificationResult = await pages.kanbanPage.verifyTaskInColumn(
-                    testScenario.taskName,
-                    testScenario.column,
-                    testScenario.expectedTags
-                );
-                
-                expect(verificationResult.found).toBe(true);
-                expect(verificationResult.column).toBe(testScenario.column);
-                expect(verificationResult.tags).toEqual(expect.arrayContaining(testScenario.expectedTags));
-                
+                await expect(pages.kanbanPage).toHaveTaskInColumn(testScenario.taskName, testScenario.column);
+                await expect(pages.kanbanPage).toHaveTaskWithTags(testScenario.taskName, testScenario.expectedTags, {
+                    mode: testScenario.tagMatchMode
+                });
+
                 await debugLog(`Task "${testScenario.taskName}" found in ${testScenario.column} column`, 'SUCCESS');
                 await debugLog(`Tags verified: ${testScenario.expectedTags.join(', ')}`, 'SUCCESS');
 
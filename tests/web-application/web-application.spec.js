@@ -1,6 +1,7 @@
-import { expect, test } from '@playwright/test';
+import { test } from '@playwright/test';
 import { createSection, debugLog, initDebugMode } from '../../shared/debug.js';
 import { TEST_DATA } from '../../shared/env.js';
+import { expect } from '../../shared/matchers.js';
 import { PageFactory } from '../../shared/PageFactory.js';
 import { regressionTest, smokeTest } from '../../shared/test-wrappers.js';
 import testData from '../../test-data.json' assert { type: 'json' };
@@ -54,16 +55,11 @@ test.describe('Web Application Tests - Data Driven', () => {
 
                 // Step 5: Verify task in specified column (data-driven)
                 await debugLog(`Step 5: Verifying "${testScenario.taskName}" task in ${testScenario.column} column...`, 'INFO');
-                const verificationResult = await pages.kanbanPage.verifyTaskInColumn(
-                    testScenario.taskName,
-                    testScenario.column,
-                    testScenario.expectedTags
-                );
-                
-                expect(verificationResult.found).toBe(true);
-                expect(verificationResult.column).toBe(testScenario.column);
-                expect(verificationResult.tags).toEqual(expect.arrayContaining(testScenario.expectedTags));
-                
+                await expect(pages.kanbanPage).toHaveTaskInColumn(testScenario.taskName, testScenario.column);
+                await expect(pages.kanbanPage).toHaveTaskWithTags(testScenario.taskName, testScenario.expectedTags, {
+                    mode: testScenario.tagMatchMode
+                });
+
                 await debugLog(`Task "${testScenario.taskName}" found in ${testScenario.column} column`, 'SUCCESS');
                 await debugLog(`Tags verified: ${testScenario.expectedTags.join(', ')}`, 'SUCCESS');
 
@@ -77,4 +73,41 @@ test.describe('Web Application Tests - Data Driven', () => {
             }
         });
     });
-});
\ No newline at end of file
+
+    regressionTest('Project verification rejects the wrong board', {
+        testTypes: ['ui'],
+        testKey: 'WEB_ACTIVE_PROJECT'
+    }, async ({ page }) => {
+        const section = createSection('Project verification rejects the wrong board');
+
+        try {
+            await section.start();
+
+            // Step 1: Open the Web Application board
+            await debugLog('Step 1: Navigating to Web Application...', 'INFO');
+            const pages = PageFactory.createPages(page);
+            await page.goto(TEST_DATA.LOGIN.URL);
+            await pages.dashboardPage.waitForPageLoad();
+            expect(await pages.dashboardPage.navigateToWebApplication()).toBe(true);
+
+            // Step 2: Header, selected link and URL all point at Web Application
+            await debugLog('Step 2: Checking the active project...', 'INFO');
+            const activeProject = await pages.dashboardPage.getActiveProject();
+            expect(activeProject.header).toBe('Web Application');
+            expect(activeProject.activeProjects).toEqual(['Web Application']);
+
+            // Step 3: Verifying another project against this board must fail
+            await debugLog('Step 3: Verifying Mobile Application against the Web Application board...', 'INFO');
+            const wrongProjectLoaded = await pages.dashboardPage.verifyProjectLoaded('Mobile Application', { timeout: 1000 });
+            expect(wrongProjectLoaded).toBe(false);
+
+            await debugLog('Wrong board correctly rejected', 'SUCCESS');
+
+        } catch (error) {
+            await debugLog(`Project verification test failed: ${error.message}`, 'ERROR');
+            throw error;
+        } finally {
+            await section.end();
+        }
+    });
+});